@@ -0,0 +1,65 @@
+// Refill dedupe latency: linear window scan vs. the in-memory memo index.
+//
+//   node scripts/bench-dedupe.js [memoCount ...]     (default: 10000 25000)
+//
+// Simulates one refill tick: 100 candidates checked against a last-N window that spans
+// the whole history. No database: memos are synthetic (64-bit hashes, 500-word vocabulary).
+import { performance } from 'node:perf_hooks';
+import { evaluateCandidate, resolveDedupeConfig, newMemoIndex, normalizeCaption } from '../src/lib/dedupe.js';
+
+const sizes = process.argv.slice(2).map(Number).filter(n => n > 0);
+const MEMO_COUNTS = sizes.length ? sizes : [10000, 25000];
+const CANDIDATES = 100;
+
+let seed = 42;
+const rand = () => ((seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648);
+const hex = (n) => Array.from({ length: n }, () => '0123456789abcdef'[Math.floor(rand() * 16)]).join('');
+const vocab = Array.from({ length: 500 }, (_, i) => `w${i.toString(36)}`);
+const caption = () => Array.from({ length: 6 + Math.floor(rand() * 10) }, () => vocab[Math.floor(rand() * vocab.length)]).join(' ');
+
+function makeMemos(n) {
+  const start = Date.now() - n * 60 * 1000;
+  return Array.from({ length: n }, (_, i) => ({
+    _id: `m${i}`, platform: i % 3 ? 'instagram' : 'youtube', postedAt: new Date(start + i * 60 * 1000),
+    visualHash: hex(16), captionNorm: normalizeCaption(caption()), durationSec: 5 + Math.floor(rand() * 55), audioKey: null
+  }));
+}
+
+function makeCandidates(memos) {
+  return Array.from({ length: CANDIDATES }, (_, i) => {
+    // every 10th candidate is a near-copy of a posted memo
+    if (i % 10 === 0) {
+      const m = memos[Math.floor(rand() * memos.length)];
+      return { _id: `c${i}`, platform: m.platform, visualHash: m.visualHash.slice(0, 15) + '0', caption: m.captionNorm, durationSec: m.durationSec };
+    }
+    return { _id: `c${i}`, platform: i % 3 ? 'instagram' : 'youtube', visualHash: hex(16), caption: caption(), durationSec: 5 + Math.floor(rand() * 55) };
+  });
+}
+
+function ms(fn) {
+  const t = performance.now();
+  const out = fn();
+  return [performance.now() - t, out];
+}
+
+console.log('memos\twindowN\tlinear_ms\tindex_build_ms\tindex_query_ms\tspeedup\tdup_agree');
+for (const n of MEMO_COUNTS) {
+  const memos = makeMemos(n);
+  const settings = { recentPostsToCheck: n };
+  const candidates = makeCandidates(memos);
+  const byPlatform = { instagram: [], youtube: [] };
+  for (const m of [...memos].reverse()) byPlatform[m.platform].push(m);
+
+  const [linearMs, linear] = ms(() => candidates.map(c => evaluateCandidate(c, byPlatform[c.platform], resolveDedupeConfig(settings, c.platform)).duplicate));
+  const [buildMs, index] = ms(() => {
+    const idx = newMemoIndex();
+    for (const m of memos) idx.add(m);
+    return idx;
+  });
+  const [queryMs, indexed] = ms(() => candidates.map(c => {
+    const config = resolveDedupeConfig(settings, c.platform);
+    return evaluateCandidate(c, index.candidates(c, config, normalizeCaption(c.caption)), config).duplicate;
+  }));
+  const agree = linear.every((d, i) => d === indexed[i]);
+  console.log(`${n}\t${n}\t${linearMs.toFixed(1)}\t${buildMs.toFixed(1)}\t${queryMs.toFixed(1)}\t${(linearMs / queryMs).toFixed(1)}x\t${agree}`);
+}
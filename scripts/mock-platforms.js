@@ -0,0 +1,393 @@
+// Local stand-in for the external platform APIs so the posting flow can be exercised offline.
+//
+//   node scripts/mock-platforms.js            (listens on MOCK_PORT, default 4010)
+//
+// Then point the backend at it:
+//   GRAPH_API_BASE=http://localhost:4010/graph
+//   YOUTUBE_API_BASE=http://localhost:4010/google
+//   YOUTUBE_UPLOAD_BASE=http://localhost:4010/google
+//   IG_CONTAINER_POLL_MS=50
+//   GOOGLE_OAUTH_BASE=http://localhost:4010/google-oauth
+//   OPENAI_API_BASE=http://localhost:4010/openai
+//   DROPBOX_API_BASE=http://localhost:4010/dropbox
+//   DRIVE_API_BASE=http://localhost:4010/google/drive/v3
+//   DROPBOX_CONTENT_BASE=http://localhost:4010/dropbox-content
+//   S3_ENDPOINT=http://localhost:4010/s3   (any access key / secret; signatures are not checked)
+//
+// Any http(s) media URL works; http://localhost:4010/media/<name>.mp4 serves a small dummy body.
+// Thumbnails (/thumbs/<seed>.png) are drawn from their seed, so the same file always gets the
+// same thumbnail on every provider and visual dedupe can be exercised.
+import http from 'node:http';
+import crypto from 'node:crypto';
+import Jimp from 'jimp';
+import { readFileSync } from 'node:fs';
+
+const PORT = Number(process.env.MOCK_PORT || 4010);
+const state = { containers: new Map(), media: new Map(), uploads: new Map(), videos: new Map(), seq: 1 };
+
+// Dropbox: an append-only change log; a cursor is the folder plus a position in it.
+// `epoch` changes when cursors are invalidated (POST /dropbox/__mock/reset-cursors).
+const dropbox = { log: [], links: new Map(), epoch: 1, pageSize: Number(process.env.MOCK_DROPBOX_PAGE || 2) };
+function dropboxAdd({ path, hash, size = 2048 }) {
+  const name = path.split('/').pop();
+  dropbox.log.push({ '.tag': 'file', name, id: `id:${dropbox.log.length + 1}`, path_lower: path.toLowerCase(), path_display: path, rev: `r${dropbox.log.length + 1}`, size, server_modified: new Date().toISOString().replace(/\.\d+Z$/, 'Z'), content_hash: hash });
+}
+dropbox.log.push({ '.tag': 'folder', name: 'Videos', id: 'id:0', path_lower: '/videos', path_display: '/Videos' });
+dropboxAdd({ path: '/Videos/beach-day.mp4', hash: 'a1'.repeat(32) });
+dropboxAdd({ path: '/Videos/kitchen_tour.mov', hash: 'b2'.repeat(32) });
+dropboxAdd({ path: '/Videos/beach-day (copy).mp4', hash: 'a1'.repeat(32) });
+dropboxAdd({ path: '/Videos/notes.txt', hash: 'c3'.repeat(32) });
+const nextId = (prefix) => `${prefix}${state.seq++}`;
+
+function send(res, status, body, headers = {}) {
+  const payload = typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': typeof body === 'object' && !Buffer.isBuffer(body) ? 'application/json' : 'application/octet-stream', ...headers });
+  res.end(payload);
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+function parseParams(req, buf) {
+  const type = req.headers['content-type'] || '';
+  if (type.includes('application/json')) { try { return JSON.parse(buf.toString() || '{}'); } catch { return {}; } }
+  return Object.fromEntries(new URLSearchParams(buf.toString()));
+}
+
+const routes = [];
+const route = (method, pattern, handler) => routes.push({ method, pattern, handler });
+
+// Instagram Graph: container create / status / publish / media fields
+route('POST', /^\/graph\/([^/]+)\/media$/, (req, res, [, , params]) => {
+  if (!params.access_token) return send(res, 400, { error: { message: 'access_token required' } });
+  if (!params.video_url) return send(res, 400, { error: { message: 'video_url required' } });
+  const id = nextId('c');
+  state.containers.set(id, { polls: 0, params });
+  send(res, 200, { id });
+});
+route('POST', /^\/graph\/([^/]+)\/media_publish$/, (req, res, [, , params]) => {
+  const c = state.containers.get(params.creation_id);
+  if (!c) return send(res, 400, { error: { message: 'unknown creation_id' } });
+  const id = nextId('m');
+  state.media.set(id, { caption: c.params.caption, permalink: `https://www.instagram.com/reel/${id}/`, like_count: 120, comments_count: 9, media_type: 'VIDEO', thumbnail_url: `http://localhost:${PORT}/thumbs/${encodeURIComponent(c.params.video_url)}.png` });
+  send(res, 200, { id });
+});
+route('GET', /^\/graph\/([^/]+)\/insights$/, (req, res) => {
+  send(res, 200, { data: [{ name: 'reach', period: 'day', values: [{ value: 800 }, { value: 950 }] }] });
+});
+// Account media from scripts/fixtures/instagram-media.json, paged with `after` cursors like the Graph API.
+// POST /graph/__mock/engage { id, likes?, comments?, views? } changes counts; /graph/__mock/deny-insights
+// { denied } makes insights.metric(...) fields fail the way they do without instagram_manage_insights.
+const igFixture = JSON.parse(readFileSync(new URL('./fixtures/instagram-media.json', import.meta.url), 'utf8').replaceAll('{{base}}', `http://localhost:${PORT}`)).data;
+state.insightsDenied = false;
+route('GET', /^\/graph\/([^/]+)\/media$/, (req, res, [m, url, params]) => {
+  const fields = params.fields || 'id';
+  if (fields.includes('insights') && state.insightsDenied) return send(res, 400, { error: { message: '(#10) Application does not have permission for this action', code: 10 } });
+  const limit = Math.min(Number(params.limit) || 25, 100);
+  const from = params.after ? Number(Buffer.from(params.after, 'base64url').toString()) : 0;
+  const keep = new Set(fields.replace(/\{[^}]*\}|\.metric\([^)]*\)/g, '').split(',').concat('id'));
+  const data = igFixture.slice(from, from + limit).map(item => Object.fromEntries(Object.entries(item).filter(([k]) => keep.has(k))));
+  const paging = { cursors: { before: Buffer.from(String(from)).toString('base64url'), after: Buffer.from(String(from + data.length)).toString('base64url') } };
+  if (from + limit < igFixture.length) {
+    const next = new URL(url);
+    next.searchParams.set('after', paging.cursors.after);
+    paging.next = next.toString();
+  }
+  send(res, 200, { data, paging });
+});
+route('POST', /^\/graph\/__mock\/engage$/, (req, res, [, , params]) => {
+  const item = igFixture.find(i => i.id === String(params.id));
+  if (!item) return send(res, 404, { error: 'unknown media id' });
+  if (params.likes != null) item.like_count = Number(params.likes);
+  if (params.comments != null) item.comments_count = Number(params.comments);
+  if (params.views != null) item.insights = { data: [{ name: 'views', period: 'lifetime', values: [{ value: Number(params.views) }] }] };
+  send(res, 200, item);
+});
+route('POST', /^\/graph\/__mock\/deny-insights$/, (req, res, [, , params]) => {
+  state.insightsDenied = params.denied !== false && params.denied !== 'false';
+  send(res, 200, { denied: state.insightsDenied });
+});
+// Multi-id lookup: GET /?ids=a,b&fields=caption
+route('GET', /^\/graph\/?$/, (req, res, [, , params]) => {
+  const ids = String(params.ids || '').split(',').filter(Boolean);
+  if (!ids.length) return send(res, 400, { error: { message: 'ids required' } });
+  const out = {};
+  for (const id of ids) {
+    const item = igFixture.find(i => i.id === id) || (state.media.has(id) ? { id, ...state.media.get(id) } : null);
+    if (!item) return send(res, 400, { error: { message: `(#100) Tried accessing nonexisting field (${id})`, code: 100 } });
+    out[id] = { id, caption: item.caption };
+  }
+  send(res, 200, out);
+});
+// Graph token lifecycle: long-lived exchange and debug_token
+route('GET', /^\/graph\/oauth\/access_token$/, (req, res, [, , params]) => {
+  if (params.grant_type !== 'fb_exchange_token' || !params.client_id || !params.client_secret || !params.fb_exchange_token) return send(res, 400, { error: { message: 'invalid exchange request' } });
+  send(res, 200, { access_token: nextId('IGLL'), token_type: 'bearer', expires_in: 60 * 24 * 60 * 60 });
+});
+route('GET', /^\/graph\/debug_token$/, (req, res, [, , params]) => {
+  if (!params.input_token || !String(params.access_token || '').includes('|')) return send(res, 400, { error: { message: 'input_token and app token required' } });
+  const scopes = ['instagram_basic', 'instagram_content_publish', 'instagram_manage_insights', 'pages_read_engagement'];
+  send(res, 200, { data: { is_valid: true, expires_at: Math.floor(Date.now() / 1000) + 50 * 24 * 60 * 60, scopes } });
+});
+route('GET', /^\/graph\/([^/]+)$/, (req, res, [m]) => {
+  const id = decodeURIComponent(m[1]);
+  if (state.containers.has(id)) {
+    const c = state.containers.get(id);
+    c.polls++;
+    return send(res, 200, { id, status_code: c.polls >= 2 ? 'FINISHED' : 'IN_PROGRESS' });
+  }
+  if (state.media.has(id)) return send(res, 200, { id, ...state.media.get(id) });
+  const item = igFixture.find(i => i.id === id);
+  if (item) return send(res, 200, item);
+  send(res, 200, { id, followers_count: 1234, media_count: igFixture.length });
+});
+
+// YouTube Data API: resumable upload session + channel stats
+route('POST', /^\/google\/upload\/youtube\/v3\/videos$/, (req, res, [, url]) => {
+  if (!/^Bearer /.test(req.headers.authorization || '')) return send(res, 401, { error: { message: 'unauthorized' } });
+  if (url.searchParams.get('uploadType') !== 'resumable') return send(res, 400, { error: { message: 'resumable only' } });
+  const sid = nextId('u');
+  state.uploads.set(sid, { length: Number(req.headers['x-upload-content-length'] || 0) });
+  send(res, 200, {}, { Location: `http://localhost:${PORT}/google/upload/session/${sid}` });
+});
+// One PUT with the whole body, or chunks with Content-Range (308 until the total is known and reached)
+route('PUT', /^\/google\/upload\/session\/([^/]+)$/, (req, res, [m, , , buf]) => {
+  const up = state.uploads.get(m[1]);
+  if (!up) return send(res, 404, { error: { message: 'no such session' } });
+  up.received = (up.received || 0) + buf.length;
+  const range = /^bytes (?:\d+-\d+|\*)\/(\d+|\*)$/.exec(req.headers['content-range'] || '');
+  if (range && (range[1] === '*' || up.received < Number(range[1]))) return send(res, 308, '', up.received ? { Range: `bytes=0-${up.received - 1}` } : {});
+  if (up.length && up.received !== up.length) return send(res, 400, { error: { message: `expected ${up.length} bytes, got ${up.received}` } });
+  state.uploads.delete(m[1]);
+  const id = nextId('yt');
+  state.videos.set(id, { bytes: up.received });
+  send(res, 200, { id, status: { uploadStatus: 'uploaded' } });
+});
+route('GET', /^\/google\/youtube\/v3\/videos$/, (req, res, [, url]) => {
+  const id = url.searchParams.get('id');
+  if (!state.videos.has(id)) return send(res, 200, { items: [] });
+  const snippet = { thumbnails: { high: { url: `http://localhost:${PORT}/thumbs/${id}.png`, width: 480, height: 360 } } };
+  send(res, 200, { items: [{ id, statistics: { viewCount: '5400', likeCount: '210', commentCount: '14' }, snippet }] });
+});
+route('GET', /^\/google\/youtube\/v3\/channels$/, (req, res) => {
+  send(res, 200, { items: [{ id: 'UCmock', statistics: { subscriberCount: '321', viewCount: '45678' } }] });
+});
+
+// Google OAuth: refresh_token grant and tokeninfo
+route('POST', /^\/google-oauth\/token$/, (req, res, [, , params]) => {
+  if (params.grant_type !== 'refresh_token' || !params.refresh_token || !params.client_id || !params.client_secret) return send(res, 400, { error: 'invalid_grant' });
+  send(res, 200, { access_token: nextId('ya29.'), expires_in: 3599, token_type: 'Bearer', scope: 'https://www.googleapis.com/auth/youtube.upload https://www.googleapis.com/auth/youtube.readonly' });
+});
+route('GET', /^\/google-oauth\/tokeninfo$/, (req, res, [, , params]) => {
+  if (!params.access_token) return send(res, 400, { error: 'invalid_token' });
+  send(res, 200, { expires_in: 3000, scope: 'https://www.googleapis.com/auth/youtube.upload https://www.googleapis.com/auth/youtube.readonly' });
+});
+
+// OpenAI-compatible and Dropbox account probes
+route('GET', /^\/openai\/models$/, (req, res) => {
+  if (!/^Bearer /.test(req.headers.authorization || '')) return send(res, 401, { error: { message: 'missing key' } });
+  send(res, 200, { object: 'list', data: [{ id: 'gpt-4o-mini', object: 'model' }] });
+});
+// Chat completions answer with a predictable "rewrite" of the last user message.
+// POST /openai/__mock/fail { status } makes them fail with that HTTP status (0 turns it off).
+state.openaiFail = 0;
+route('POST', /^\/openai\/chat\/completions$/, (req, res, [, , params]) => {
+  if (!/^Bearer /.test(req.headers.authorization || '')) return send(res, 401, { error: { message: 'missing key' } });
+  if (state.openaiFail) return send(res, state.openaiFail, { error: { message: 'mock completion failure' } });
+  if (!Array.isArray(params.messages) || !params.messages.length) return send(res, 400, { error: { message: 'messages required' } });
+  const user = [...params.messages].reverse().find(m => m.role === 'user')?.content || '';
+  send(res, 200, { id: nextId('chatcmpl-'), object: 'chat.completion', model: params.model || 'gpt-4o-mini', choices: [{ index: 0, message: { role: 'assistant', content: `Fresh take: ${user}` }, finish_reason: 'stop' }], usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 } });
+});
+route('POST', /^\/openai\/__mock\/fail$/, (req, res, [, , params]) => {
+  state.openaiFail = Number(params.status) || 0;
+  send(res, 200, { status: state.openaiFail });
+});
+route('POST', /^\/dropbox\/2\/users\/get_current_account$/, (req, res) => {
+  if (!/^Bearer /.test(req.headers.authorization || '')) return send(res, 401, { error_summary: 'invalid_access_token/' });
+  send(res, 200, { account_id: 'dbid:mock', email: 'mock@example.com' });
+});
+
+// Dropbox: list_folder / continue with paging and cursors, shared links, plus test hooks to add files
+function dropboxPage(res, folder, from) {
+  const inFolder = (e) => !folder || e.path_lower.startsWith(`${folder.toLowerCase()}/`);
+  const matching = dropbox.log.map((e, i) => ({ e, i })).filter(x => x.i >= from && inFolder(x.e));
+  const page = matching.slice(0, dropbox.pageSize);
+  const next = page.length < matching.length ? page[page.length - 1].i + 1 : dropbox.log.length;
+  const cursor = Buffer.from(JSON.stringify({ folder, next, epoch: dropbox.epoch })).toString('base64url');
+  send(res, 200, { entries: page.map(x => x.e), cursor, has_more: page.length < matching.length });
+}
+route('POST', /^\/dropbox\/2\/files\/list_folder$/, (req, res, [, , params]) => {
+  if (!/^Bearer /.test(req.headers.authorization || '')) return send(res, 401, { error_summary: 'invalid_access_token/' });
+  dropboxPage(res, params.path || '', 0);
+});
+route('POST', /^\/dropbox\/2\/files\/list_folder\/continue$/, (req, res, [, , params]) => {
+  let c;
+  try { c = JSON.parse(Buffer.from(String(params.cursor), 'base64url').toString()); } catch { c = null; }
+  if (!c || c.epoch !== dropbox.epoch) return send(res, 409, { error_summary: 'reset/..', error: { '.tag': 'reset' } });
+  dropboxPage(res, c.folder, c.next);
+});
+route('POST', /^\/dropbox\/2\/sharing\/create_shared_link_with_settings$/, (req, res, [, , params]) => {
+  const key = String(params.path).toLowerCase();
+  if (dropbox.links.has(key)) return send(res, 409, { error_summary: 'shared_link_already_exists/..', error: { '.tag': 'shared_link_already_exists', shared_link_already_exists: { metadata: { url: dropbox.links.get(key) } } } });
+  const url = `http://localhost:${PORT}/media/${encodeURIComponent(key.split('/').pop())}?dl=0`;
+  dropbox.links.set(key, url);
+  send(res, 200, { url, path_lower: key });
+});
+route('POST', /^\/dropbox\/2\/sharing\/list_shared_links$/, (req, res, [, , params]) => {
+  const url = dropbox.links.get(String(params.path).toLowerCase());
+  send(res, 200, { links: url ? [{ url }] : [], has_more: false });
+});
+route('POST', /^\/dropbox-content\/2\/files\/get_thumbnail_v2$/, async (req, res) => {
+  let arg;
+  try { arg = JSON.parse(req.headers['dropbox-api-arg'] || '{}'); } catch { return send(res, 400, 'bad Dropbox-API-Arg'); }
+  const path = String(arg.resource?.path || '').toLowerCase();
+  const entry = dropbox.log.find(e => e.path_lower === path && e['.tag'] === 'file');
+  if (!entry) return send(res, 409, { error_summary: 'path/not_found/' });
+  send(res, 200, await thumbnail(entry.content_hash, Jimp.MIME_JPEG), { 'Content-Type': 'image/jpeg' });
+});
+route('POST', /^\/dropbox\/__mock\/add$/, (req, res, [, , params]) => {
+  if (!params.path || !params.hash) return send(res, 400, { error: 'path and hash required' });
+  dropboxAdd(params);
+  send(res, 200, { ok: true, entries: dropbox.log.length });
+});
+route('POST', /^\/dropbox\/__mock\/reset-cursors$/, (req, res) => {
+  dropbox.epoch++;
+  send(res, 200, { ok: true, epoch: dropbox.epoch });
+});
+
+// Google Drive: folder listing, start page token and changes feed. Page tokens are "<epoch>.<position>";
+// POST /google/drive/__mock/reset-tokens invalidates them.
+const drive = { files: new Map(), changes: [], epoch: 1, pageSize: Number(process.env.MOCK_DRIVE_PAGE || 2) };
+function driveAdd({ id, name, md5, description = '', shared = true, folderId = 'folder1', mimeType = 'video/mp4' }) {
+  const fid = id || `df${drive.files.size + 1}`;
+  const file = { id: fid, name, mimeType, parents: [folderId], trashed: false, size: '2048', modifiedTime: new Date().toISOString(), description };
+  if (md5) file.md5Checksum = md5;
+  file.thumbnailLink = `http://localhost:${PORT}/thumbs/${md5 || fid}.png`;
+  if (shared) file.webContentLink = `http://localhost:${PORT}/media/${encodeURIComponent(name)}?export=download`;
+  drive.files.set(fid, file);
+  drive.changes.push({ fileId: fid });
+  return file;
+}
+drive.files.set('folder1', { id: 'folder1', name: 'Finished clips', mimeType: 'application/vnd.google-apps.folder', parents: ['root'] });
+driveAdd({ name: 'sunset-walkthrough.mp4', md5: 'e1'.repeat(16), description: 'Sunset walkthrough of the lake house' });
+driveAdd({ name: 'kitchen reveal.mov', md5: 'e2'.repeat(16), mimeType: 'video/quicktime' });
+driveAdd({ name: 'sunset-walkthrough (1).mp4', md5: 'e1'.repeat(16) });
+driveAdd({ name: 'unshared.mp4', md5: 'e3'.repeat(16), shared: false });
+driveAdd({ name: 'Shot list', mimeType: 'application/vnd.google-apps.document' });
+
+const driveToken = (pos) => `${drive.epoch}.${pos}`;
+function parseDriveToken(t) {
+  const [epoch, pos] = String(t || '').split('.').map(Number);
+  return epoch === drive.epoch && pos >= 0 && pos <= drive.changes.length ? pos : null;
+}
+route('GET', /^\/google\/drive\/v3\/files$/, (req, res, [, , params]) => {
+  if (!/^Bearer /.test(req.headers.authorization || '')) return send(res, 401, { error: { message: 'unauthorized' } });
+  const folder = /'([^']+)' in parents/.exec(params.q || '')?.[1];
+  const all = [...drive.files.values()].filter(f => (f.parents || []).includes(folder) && !f.trashed);
+  const from = Number(params.pageToken || 0);
+  const page = all.slice(from, from + drive.pageSize);
+  send(res, 200, { files: page, ...(from + drive.pageSize < all.length ? { nextPageToken: String(from + drive.pageSize) } : {}) });
+});
+route('GET', /^\/google\/drive\/v3\/files\/([^/]+)$/, (req, res, [m]) => {
+  const f = drive.files.get(decodeURIComponent(m[1]));
+  if (!f) return send(res, 404, { error: { message: 'File not found' } });
+  send(res, 200, f);
+});
+route('GET', /^\/google\/drive\/v3\/changes\/startPageToken$/, (req, res) => send(res, 200, { startPageToken: driveToken(drive.changes.length) }));
+route('GET', /^\/google\/drive\/v3\/changes$/, (req, res, [, , params]) => {
+  const pos = parseDriveToken(params.pageToken);
+  if (pos === null) return send(res, 400, { error: { message: 'Invalid pageToken' } });
+  const slice = drive.changes.slice(pos, pos + drive.pageSize).map(c => ({ fileId: c.fileId, removed: !drive.files.has(c.fileId), file: drive.files.get(c.fileId) }));
+  const end = pos + slice.length;
+  send(res, 200, { changes: slice, ...(end < drive.changes.length ? { nextPageToken: driveToken(end) } : { newStartPageToken: driveToken(end) }) });
+});
+route('POST', /^\/google\/drive\/__mock\/add$/, (req, res, [, , params]) => {
+  if (!params.name) return send(res, 400, { error: 'name required' });
+  send(res, 200, driveAdd({ ...params, shared: params.shared !== false && params.shared !== 'false' }));
+});
+route('POST', /^\/google\/drive\/__mock\/reset-tokens$/, (req, res) => {
+  drive.epoch++;
+  send(res, 200, { ok: true, epoch: drive.epoch });
+});
+
+// S3 (path-style): multipart uploads with per-part SHA-256 checks, objects, bucket HEAD
+const s3 = { objects: new Map(), uploads: new Map() };
+const s3Error = (res, status, code, message) => send(res, status, `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`, { 'Content-Type': 'application/xml' });
+const s3Xml = (res, xml) => send(res, 200, `<?xml version="1.0" encoding="UTF-8"?>${xml}`, { 'Content-Type': 'application/xml' });
+route('POST', /^\/s3\/([^/]+)\/(.+)$/, (req, res, [m, url, , buf]) => {
+  const key = `${m[1]}/${decodeURIComponent(m[2])}`;
+  if (url.searchParams.has('uploads')) {
+    const uploadId = nextId('upl');
+    s3.uploads.set(uploadId, { key, contentType: req.headers['content-type'], parts: new Map() });
+    return s3Xml(res, `<InitiateMultipartUploadResult><Bucket>${m[1]}</Bucket><Key>${m[2]}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+  }
+  const upload = s3.uploads.get(url.searchParams.get('uploadId'));
+  if (!upload || upload.key !== key) return s3Error(res, 404, 'NoSuchUpload', 'upload not found');
+  const numbers = [...buf.toString().matchAll(/<PartNumber>(\d+)<\/PartNumber>/g)].map(x => Number(x[1]));
+  if (!numbers.length || numbers.some((n, i) => n !== i + 1 || !upload.parts.has(n))) return s3Error(res, 400, 'InvalidPart', 'parts missing or out of order');
+  const body = Buffer.concat(numbers.map(n => upload.parts.get(n)));
+  s3.objects.set(key, { body, contentType: upload.contentType });
+  s3.uploads.delete(url.searchParams.get('uploadId'));
+  s3Xml(res, `<CompleteMultipartUploadResult><Key>${m[2]}</Key><ETag>"${crypto.createHash('md5').update(body).digest('hex')}-${numbers.length}"</ETag></CompleteMultipartUploadResult>`);
+});
+route('PUT', /^\/s3\/([^/]+)\/(.+)$/, (req, res, [m, url, , buf]) => {
+  const key = `${m[1]}/${decodeURIComponent(m[2])}`;
+  const upload = s3.uploads.get(url.searchParams.get('uploadId'));
+  if (!upload || upload.key !== key) return s3Error(res, 404, 'NoSuchUpload', 'upload not found');
+  const claimed = req.headers['x-amz-checksum-sha256'];
+  if (claimed && claimed !== crypto.createHash('sha256').update(buf).digest('base64')) return s3Error(res, 400, 'BadDigest', 'part checksum mismatch');
+  upload.parts.set(Number(url.searchParams.get('partNumber')), buf);
+  send(res, 200, '', { ETag: `"${crypto.createHash('md5').update(buf).digest('hex')}"` });
+});
+route('DELETE', /^\/s3\/([^/]+)\/(.+)$/, (req, res, [m, url]) => {
+  const key = `${m[1]}/${decodeURIComponent(m[2])}`;
+  if (url.searchParams.has('uploadId')) s3.uploads.delete(url.searchParams.get('uploadId'));
+  else s3.objects.delete(key);
+  send(res, 204, '');
+});
+route('GET', /^\/s3\/([^/]+)\/(.+)$/, (req, res, [m]) => {
+  const obj = s3.objects.get(`${m[1]}/${decodeURIComponent(m[2])}`);
+  if (!obj) return s3Error(res, 404, 'NoSuchKey', 'object not found');
+  send(res, 200, obj.body, { 'Content-Type': obj.contentType || 'application/octet-stream' });
+});
+route('HEAD', /^\/s3\/([^/]+)$/, (req, res) => send(res, 200, ''));
+
+// Deterministic thumbnail: an 8x8 grid of grey levels taken from the seed's SHA-256
+async function thumbnail(seed, mime = Jimp.MIME_PNG) {
+  const bytes = crypto.createHash('sha256').update(String(seed)).digest();
+  const img = new Jimp(320, 180);
+  img.scan(0, 0, 320, 180, (x, y, idx) => {
+    const v = bytes[(Math.floor(y / 22.5) * 8 + Math.floor(x / 40)) % 32];
+    img.bitmap.data.set([v, v, v, 255], idx);
+  });
+  return img.getBufferAsync(mime);
+}
+route('GET', /^\/thumbs\/(.+)\.png$/, async (req, res, [m]) => send(res, 200, await thumbnail(decodeURIComponent(m[1])), { 'Content-Type': 'image/png' }));
+
+// Dummy media bytes
+// ?bytes=N sets the size; ?chunked=1 sends it without a Content-Length
+route('GET', /^\/media\/(.+)$/, (req, res, [, url]) => {
+  const body = Buffer.alloc(Math.min(Number(url.searchParams.get('bytes')) || 2048, 64 * 1024 * 1024), 1);
+  if (!url.searchParams.has('chunked')) return send(res, 200, body, { 'Content-Type': 'video/mp4' });
+  res.writeHead(200, { 'Content-Type': 'video/mp4' });
+  for (let i = 0; i < body.length; i += 65536) res.write(body.subarray(i, i + 65536));
+  res.end();
+});
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const buf = await readBody(req);
+  const params = { ...Object.fromEntries(url.searchParams), ...parseParams(req, buf) };
+  for (const r of routes) {
+    const m = r.method === req.method && url.pathname.match(r.pattern);
+    if (m) return r.handler(req, res, [m, url, params, buf]);
+  }
+  send(res, 404, { error: { message: `mock: no route for ${req.method} ${url.pathname}` } });
+});
+
+server.listen(PORT, () => console.log(`Mock platforms listening on ${PORT}`));
@@ -0,0 +1,22 @@
+// Re-encrypt stored credentials under CREDENTIALS_KEY.
+// Rotation: set the new key as CREDENTIALS_KEY, the previous one in CREDENTIALS_OLD_KEYS, run this, then drop the old key.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { rotateCredentials } from '../src/lib/credentials.js';
+
+dotenv.config();
+
+const uri = process.env.MONGO_URI || process.env.MONGODB_URI;
+if (!uri) {
+  console.error('MONGO_URI is not set');
+  process.exit(1);
+}
+
+await mongoose.connect(uri);
+try {
+  const report = await rotateCredentials();
+  console.log(JSON.stringify(report, null, 2));
+  process.exitCode = report.failed.length ? 2 : 0;
+} finally {
+  await mongoose.disconnect();
+}
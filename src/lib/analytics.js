@@ -0,0 +1,86 @@
+import { graphApiBase } from './apiBase.js';
+import { fetchJson } from './http.js';
+import { revealSecret } from './credentials.js';
+import { zonedParts, zonedTimeToUtc, addZonedDays } from './time.js';
+
+// Instagram account reach (last day) and engagement rate over recent media:
+// mean (likes + comments) per post as a percentage of followers.
+export async function fetchInstagramEngagement(settings, followers, { mediaLimit = 25 } = {}) {
+  const igId = settings.igBusinessId;
+  if (!settings.instagramToken || !igId) return { reach: null, engagementRate: null };
+  const token = revealSecret(settings, 'instagramToken');
+  const base = `${graphApiBase()}/${encodeURIComponent(igId)}`;
+  const auth = `access_token=${encodeURIComponent(token)}`;
+
+  let reach = null;
+  try {
+    const j = await fetchJson(`${base}/insights?metric=reach&period=day&${auth}`);
+    const values = j?.data?.find(m => m.name === 'reach')?.values || [];
+    const last = values[values.length - 1];
+    if (last && Number.isFinite(Number(last.value))) reach = Number(last.value);
+  } catch { /* insights need extra permissions; reach stays unknown */ }
+
+  let engagementRate = null;
+  try {
+    const j = await fetchJson(`${base}/media?fields=like_count,comments_count&limit=${mediaLimit}&${auth}`);
+    const media = j?.data || [];
+    if (media.length && followers > 0) {
+      const total = media.reduce((sum, m) => sum + (Number(m.like_count) || 0) + (Number(m.comments_count) || 0), 0);
+      engagementRate = Math.round((total / media.length / followers) * 10000) / 100;
+    }
+  } catch { /* leave unknown */ }
+
+  return { reach, engagementRate };
+}
+
+export const RANGES = { '24h': 1, '7d': 7, '30d': 30, '90d': 90 };
+
+function bucketKey(date, interval, tz) {
+  const p = zonedParts(date, tz);
+  const day = `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+  return interval === 'hour' ? `${day} ${String(p.hour).padStart(2, '0')}:00` : day;
+}
+
+// Bucket boundaries (labels) in the configured timezone covering [from, to]
+export function bucketLabels(from, to, interval, tz) {
+  const labels = [];
+  if (interval === 'hour') {
+    for (let t = Math.floor(from.getTime() / 3600000) * 3600000; t <= to.getTime(); t += 3600000) {
+      const key = bucketKey(new Date(t), 'hour', tz);
+      if (labels[labels.length - 1] !== key) labels.push(key);
+    }
+    return labels;
+  }
+  let day = zonedParts(from, tz);
+  day = { year: day.year, month: day.month, day: day.day };
+  for (let i = 0; i < 400; i++) {
+    const start = zonedTimeToUtc(day, tz);
+    if (start > to) break;
+    labels.push(bucketKey(start, 'day', tz));
+    day = addZonedDays(day, 1);
+  }
+  return labels;
+}
+
+// Last value per bucket, carried forward over buckets without a snapshot
+export function seriesFor(snapshots, field, labels, interval, tz) {
+  const byBucket = new Map();
+  for (const snap of [...snapshots].sort((a, b) => new Date(a.takenAt) - new Date(b.takenAt))) {
+    const v = snap[field];
+    if (v === null || v === undefined) continue;
+    byBucket.set(bucketKey(new Date(snap.takenAt), interval, tz), v);
+  }
+  let last = null;
+  return labels.map(l => {
+    if (byBucket.has(l)) last = byBucket.get(l);
+    return last;
+  });
+}
+
+export function growth(series) {
+  const known = series.filter(v => v !== null);
+  if (known.length < 2) return { start: known[0] ?? null, end: known[0] ?? null, delta: 0, pct: 0 };
+  const start = known[0];
+  const end = known[known.length - 1];
+  return { start, end, delta: end - start, pct: start > 0 ? Math.round(((end - start) / start) * 10000) / 100 : 0 };
+}
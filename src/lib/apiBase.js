@@ -0,0 +1,35 @@
+// Base URLs for external APIs. Read at call time so .env (loaded in server.js) and
+// test overrides pointing at a local mock server are always honoured.
+const trim = (u) => String(u).replace(/\/+$/, '');
+
+export function graphApiBase() {
+  return trim(process.env.GRAPH_API_BASE || 'https://graph.facebook.com/v20.0');
+}
+
+export function youtubeApiBase() {
+  return trim(process.env.YOUTUBE_API_BASE || 'https://www.googleapis.com');
+}
+
+export function youtubeUploadBase() {
+  return trim(process.env.YOUTUBE_UPLOAD_BASE || process.env.YOUTUBE_API_BASE || 'https://www.googleapis.com');
+}
+
+export function googleOAuthBase() {
+  return trim(process.env.GOOGLE_OAUTH_BASE || 'https://oauth2.googleapis.com');
+}
+
+export function openaiApiBase() {
+  return trim(process.env.OPENAI_API_BASE || 'https://api.openai.com/v1');
+}
+
+export function driveApiBase() {
+  return trim(process.env.DRIVE_API_BASE || 'https://www.googleapis.com/drive/v3');
+}
+
+export function dropboxApiBase() {
+  return trim(process.env.DROPBOX_API_BASE || 'https://api.dropboxapi.com');
+}
+
+export function dropboxContentBase() {
+  return trim(process.env.DROPBOX_CONTENT_BASE || 'https://content.dropboxapi.com');
+}
@@ -0,0 +1,146 @@
+import AudioTrack from '../models/AudioTrack.js';
+import PostQueue from '../models/PostQueue.js';
+import PostedMemo from '../models/PostedMemo.js';
+import { resolveDedupeConfig, loadRecentPosted } from './dedupe.js';
+
+// Trending-audio rotation: scheduled Instagram items get the best-ranked catalog track that was not
+// used within the recent-posts window (the Instagram dedupe window: last N posts or last N days,
+// plus items already scheduled). Ranking is the imported trend score, halved every two weeks
+// since the score was last imported, so stale trends sink.
+const TREND_HALF_LIFE_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_IMPORT = 2000;
+
+export const audioKeyOf = (trackId) => `track:${trackId}`;
+export const trackIdOf = (audioKey) => (typeof audioKey === 'string' && audioKey.startsWith('track:') ? audioKey.slice(6) : null);
+
+export function effectiveScore(track, now = new Date()) {
+  const since = new Date(track.trendUpdatedAt || track.createdAt || now).getTime();
+  const ageDays = Math.max(0, (now.getTime() - since) / DAY_MS);
+  return (Number(track.trendScore) || 0) * 0.5 ** (ageDays / TREND_HALF_LIFE_DAYS);
+}
+
+// Higher score first; ties go to the track used longest ago (never used first)
+const byRank = (a, b) => b.score - a.score || (a.lastUsedAt ? new Date(a.lastUsedAt).getTime() : 0) - (b.lastUsedAt ? new Date(b.lastUsedAt).getTime() : 0) || a.trackId.localeCompare(b.trackId);
+
+const str = (v, max) => (v === undefined || v === null ? '' : typeof v === 'string' && v.length <= max ? v.trim() : undefined);
+
+// Import rows -> normalized tracks, plus field-level errors ({ field: 'tracks[3].trendScore', message })
+export function parseTrackImport(rows) {
+  const errors = [];
+  if (!Array.isArray(rows) || !rows.length) return { tracks: [], errors: [{ field: 'tracks', message: 'must be a non-empty list' }] };
+  if (rows.length > MAX_IMPORT) return { tracks: [], errors: [{ field: 'tracks', message: `at most ${MAX_IMPORT} tracks per import` }] };
+  const tracks = new Map();
+  rows.forEach((row, i) => {
+    const at = (k) => `tracks[${i}]${k ? `.${k}` : ''}`;
+    if (!row || typeof row !== 'object' || Array.isArray(row)) return void errors.push({ field: at(), message: 'must be an object' });
+    const rawId = row.trackId ?? row.id;
+    const trackId = typeof rawId === 'number' ? String(rawId) : str(rawId, 200);
+    const title = str(row.title, 300);
+    const artist = str(row.artist, 300);
+    const trendScore = row.trendScore === undefined || row.trendScore === null || row.trendScore === '' ? 0 : Number(row.trendScore);
+    const durationSec = row.durationSec === undefined || row.durationSec === null || row.durationSec === '' ? null : Number(row.durationSec);
+    const url = row.url ? String(row.url) : null;
+    if (!trackId) errors.push({ field: at('trackId'), message: 'is required (up to 200 chars)' });
+    if (title === undefined) errors.push({ field: at('title'), message: 'must be a string up to 300 chars' });
+    if (artist === undefined) errors.push({ field: at('artist'), message: 'must be a string up to 300 chars' });
+    if (!Number.isFinite(trendScore) || trendScore < 0) errors.push({ field: at('trendScore'), message: 'must be a number >= 0' });
+    if (durationSec !== null && !(Number.isFinite(durationSec) && durationSec > 0)) errors.push({ field: at('durationSec'), message: 'must be a positive number' });
+    if (url && !/^https?:\/\//.test(url)) errors.push({ field: at('url'), message: 'must be an http(s) URL' });
+    if (trackId) tracks.set(trackId, { trackId, title: title || '', artist: artist || '', trendScore, durationSec, url });
+  });
+  return { tracks: [...tracks.values()], errors };
+}
+
+// Upsert tracks by trackId (a later row with the same id wins). With `replace` every active track
+// missing from the import is deactivated. Nothing is written when a row is invalid.
+export async function importTracks(rows, { source = 'import', replace = false, now = new Date() } = {}) {
+  const { tracks, errors } = parseTrackImport(rows);
+  if (errors.length) return { errors };
+  const r = await AudioTrack.bulkWrite(tracks.map(t => ({
+    updateOne: { filter: { trackId: t.trackId }, update: { $set: { ...t, trendUpdatedAt: now, source, active: true } }, upsert: true }
+  })), { ordered: false });
+  const deactivated = replace ? (await AudioTrack.updateMany({ trackId: { $nin: tracks.map(t => t.trackId) }, active: true }, { $set: { active: false } })).modifiedCount : 0;
+  return { errors, imported: tracks.length, created: r.upsertedCount, updated: r.matchedCount, deactivated };
+}
+
+// audioKey -> its latest use inside the rotation window (posted memos, then scheduled / posting items)
+export async function recentAudioUse(settings, now = new Date()) {
+  const config = { ...resolveDedupeConfig(settings, 'instagram'), crossPlatform: false };
+  const [posted, pending] = await Promise.all([
+    loadRecentPosted(config, now),
+    PostQueue.find({ platform: 'instagram', status: { $in: ['scheduled', 'posting'] }, audioKey: { $ne: null } }, { audioKey: 1, status: 1, scheduledAt: 1 }).lean()
+  ]);
+  const used = new Map();
+  for (const m of posted) if (m.audioKey && !used.has(m.audioKey)) used.set(m.audioKey, { source: 'posted', id: m.postId || m._id, at: m.postedAt });
+  for (const q of pending) if (!used.has(q.audioKey)) used.set(q.audioKey, { source: q.status, id: q._id, at: q.scheduledAt });
+  const window = config.windowType === 'days' ? { type: 'days', days: config.windowDays } : { type: 'lastN', posts: config.windowN };
+  return { used, window };
+}
+
+const describeTrack = (t) => ({
+  trackId: t.trackId, audioKey: audioKeyOf(t.trackId), title: t.title, artist: t.artist, trendScore: t.trendScore,
+  score: Math.round(t.score * 1000) / 1000, trendUpdatedAt: t.trendUpdatedAt, lastUsedAt: t.lastUsedAt, useCount: t.useCount || 0, active: t.active
+});
+
+// Active tracks in rotation order: usable ones first by rank, then those blocked by a use in the window
+export async function rankTracks(settings, { now = new Date(), limit = 100 } = {}) {
+  const [tracks, { used, window }] = await Promise.all([AudioTrack.find({ active: true }).lean(), recentAudioUse(settings, now)]);
+  const ranked = tracks.map(t => ({ ...t, score: effectiveScore(t, now) })).sort(byRank)
+    .map(t => ({ ...describeTrack(t), blockedBy: used.get(audioKeyOf(t.trackId)) || null }));
+  const available = ranked.filter(t => !t.blockedBy);
+  return { window, total: ranked.length, available: available.length, next: available[0] || null, tracks: [...available, ...ranked.filter(t => t.blockedBy)].slice(0, limit) };
+}
+
+// One scheduling batch: tracks and the window load once, and each assignment blocks its track for
+// the rest of the batch. assign() returns the $set fields for the item, or null when trendingAudio
+// is off, the item is not Instagram, already has audio, or every track is in the window. The
+// catalog use is only counted by record(fields) once the item is stored; release(fields) hands the
+// track back to the batch when the item was not.
+export function createAudioRotation(settings, { now = new Date() } = {}) {
+  let state = null;
+  async function load() {
+    if (!state) {
+      const [tracks, { used }] = await Promise.all([AudioTrack.find({ active: true }).lean(), recentAudioUse(settings, now)]);
+      state = { tracks: tracks.map(t => ({ ...t, score: effectiveScore(t, now) })).sort(byRank), used };
+    }
+    return state;
+  }
+  return {
+    async assign(item) {
+      if (!settings?.trendingAudio || item.platform !== 'instagram' || item.audioKey) return null;
+      const { tracks, used } = await load();
+      const track = tracks.find(t => !used.has(audioKeyOf(t.trackId)));
+      if (!track) return null;
+      const audioKey = audioKeyOf(track.trackId);
+      used.set(audioKey, { source: 'batch', id: item._id, at: item.scheduledAt || now });
+      return { audioKey, 'meta.audio': { trackId: track.trackId, title: track.title, artist: track.artist, url: track.url || null, assignedAt: now } };
+    },
+    async record(fields) {
+      const trackId = trackIdOf(fields?.audioKey);
+      if (trackId) await AudioTrack.updateOne({ trackId }, { $set: { lastUsedAt: now }, $inc: { useCount: 1 } });
+    },
+    release(fields) {
+      if (fields?.audioKey && state?.used.get(fields.audioKey)?.source === 'batch') state.used.delete(fields.audioKey);
+    }
+  };
+}
+
+// Where an audioKey was used: posted memos (all platforms, newest first), scheduled items, the
+// catalog track and whether the Instagram rotation currently blocks it
+export async function audioHistory(settings, audioKey, { now = new Date(), limit = 20 } = {}) {
+  const trackId = trackIdOf(audioKey);
+  const [track, posted, pending, { used, window }] = await Promise.all([
+    trackId ? AudioTrack.findOne({ trackId }).lean() : null,
+    PostedMemo.find({ audioKey }, { platform: 1, postedAt: 1, postId: 1 }).sort({ postedAt: -1 }).limit(limit).lean(),
+    PostQueue.find({ audioKey, status: { $in: ['scheduled', 'posting'] } }, { platform: 1, status: 1, scheduledAt: 1 }).sort({ scheduledAt: 1 }).limit(limit).lean(),
+    recentAudioUse(settings, now)
+  ]);
+  return {
+    audioKey,
+    track: track ? describeTrack({ ...track, score: effectiveScore(track, now) }) : null,
+    rotation: { window, blockedBy: used.get(audioKey) || null },
+    posted: posted.map(m => ({ id: m.postId || m._id, platform: m.platform, postedAt: m.postedAt })),
+    scheduled: pending.map(q => ({ id: q._id, platform: q.platform, status: q.status, scheduledAt: q.scheduledAt }))
+  };
+}
@@ -0,0 +1,153 @@
+import crypto from 'node:crypto';
+import AuditLog from '../models/AuditLog.js';
+
+// Roles are ordered: an admin can do everything a viewer can
+export const ROLES = ['viewer', 'admin'];
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+const OPEN_PATHS = new Set(['/scheduler/health']);
+// mongoURI and other connection strings carry their password inline
+const SENSITIVE = /token|secret|password|api_?key|access_?key|credential|mongo|uri$|dsn|connection_?string/i;
+
+export function roleAtLeast(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+}
+
+// API_KEYS="admin:alice:<key>,viewer:dashboard:<key>" (role:name:key)
+let keyCache = { raw: null, keys: [] };
+function apiKeys() {
+  const raw = process.env.API_KEYS || '';
+  if (raw !== keyCache.raw) {
+    const keys = raw.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+      const [role, name, ...rest] = entry.split(':');
+      return { role, name, key: rest.join(':') };
+    }).filter(k => ROLES.includes(k.role) && k.name && k.key.length >= 16);
+    keyCache = { raw, keys };
+  }
+  return keyCache.keys;
+}
+
+function tokenSecret() {
+  return process.env.AUTH_TOKEN_SECRET || '';
+}
+
+export function authConfigured() {
+  return apiKeys().length > 0 || tokenSecret().length > 0;
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function hmac(data) {
+  return crypto.createHmac('sha256', tokenSecret()).update(data).digest('base64url');
+}
+
+// Signed token: base64url(JSON { sub, role, iat, exp }).base64url(HMAC-SHA256)
+export function signToken({ sub, role, ttlSec = 3600 }, now = Date.now()) {
+  if (!tokenSecret()) throw new Error('AUTH_TOKEN_SECRET is not set');
+  if (!ROLES.includes(role)) throw new Error(`Unknown role ${role}`);
+  const iat = Math.floor(now / 1000);
+  const payload = Buffer.from(JSON.stringify({ sub, role, iat, exp: iat + Math.max(60, Math.floor(ttlSec)) })).toString('base64url');
+  return `${payload}.${hmac(payload)}`;
+}
+
+export function verifyToken(token, now = Date.now()) {
+  if (!tokenSecret() || typeof token !== 'string') return null;
+  const [payload, sig, extra] = token.split('.');
+  if (!payload || !sig || extra !== undefined || !safeEqual(sig, hmac(payload))) return null;
+  let claims;
+  try { claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')); } catch { return null; }
+  if (!claims || !ROLES.includes(claims.role) || !claims.sub) return null;
+  if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= now) return null;
+  return claims;
+}
+
+// Bearer header, X-API-Key header, or ?access_token= (EventSource cannot set headers)
+function credentialFrom(req) {
+  const header = req.get('authorization') || '';
+  const m = /^Bearer\s+(.+)$/i.exec(header);
+  return (m && m[1].trim()) || req.get('x-api-key') || (typeof req.query.access_token === 'string' ? req.query.access_token : '');
+}
+
+export function identify(req) {
+  const cred = credentialFrom(req);
+  if (!cred) return null;
+  const key = apiKeys().find(k => safeEqual(k.key, cred));
+  if (key) return { id: key.name, role: key.role, method: 'api_key' };
+  const claims = verifyToken(cred);
+  if (claims) return { id: claims.sub, role: claims.role, method: 'token', exp: claims.exp };
+  return null;
+}
+
+// Running without credentials is an explicit opt-in for local development
+export const authOpen = () => process.env.AUTH_OPEN === 'true';
+
+// Reads need a viewer, everything else an admin. With no API_KEYS and no AUTH_TOKEN_SECRET the
+// API is open when AUTH_OPEN=true, otherwise every request is refused.
+export function authenticate(req, res, next) {
+  if (OPEN_PATHS.has(req.path)) return next();
+  if (!authConfigured()) {
+    if (!authOpen()) return res.status(503).json({ success: false, error: 'authentication is not configured: set API_KEYS or AUTH_TOKEN_SECRET (or AUTH_OPEN=true for local development)' });
+    req.auth = { id: 'anonymous', role: 'admin', method: 'open' };
+    return next();
+  }
+  const who = identify(req);
+  if (!who) return res.status(401).json({ success: false, error: 'authentication required' });
+  req.auth = who;
+  const required = READ_METHODS.has(req.method) ? 'viewer' : 'admin';
+  if (!roleAtLeast(who.role, required)) {
+    if (required === 'admin') trackAudit(req, res);
+    return res.status(403).json({ success: false, error: `${required} role required` });
+  }
+  next();
+}
+
+// Route-level guard for reads that still need more than a viewer
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.auth || !roleAtLeast(req.auth.role, role)) return res.status(403).json({ success: false, error: `${role} role required` });
+    next();
+  };
+}
+
+// Request URL for logs: values of sensitive query parameters (?access_token= for EventSource) are masked
+export function redactUrl(url = '') {
+  const i = url.indexOf('?');
+  if (i < 0) return url;
+  const params = new URLSearchParams(url.slice(i + 1));
+  for (const k of [...params.keys()]) if (SENSITIVE.test(k)) params.set(k, '[redacted]');
+  return `${url.slice(0, i)}?${params.toString().replaceAll('%5Bredacted%5D', '[redacted]')}`;
+}
+
+export function redact(value, depth = 0) {
+  if (depth > 4 || value == null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.slice(0, 50).map(v => redact(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = SENSITIVE.test(k) ? (v ? '[redacted]' : v) : redact(v, depth + 1);
+  return out;
+}
+
+function trackAudit(req, res) {
+  const started = Date.now();
+  res.on('finish', () => {
+    AuditLog.create({
+      actor: req.auth.id,
+      role: req.auth.role,
+      authMethod: req.auth.method,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Date.now() - started,
+      ip: req.ip,
+      body: req.body && Object.keys(req.body).length ? redact(req.body) : null
+    }).catch(err => console.warn('audit log:', err.message));
+  });
+}
+
+// Record every mutating request once the response is sent (mount after authenticate)
+export function auditTrail(req, res, next) {
+  if (!READ_METHODS.has(req.method) && req.auth) trackAudit(req, res);
+  next();
+}
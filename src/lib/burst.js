@@ -0,0 +1,58 @@
+import { zonedParts, zonedTimeToUtc, addZonedDays, parseHHmm } from './time.js';
+
+// Burst window occurrences resolved to concrete instants in the configured timezone.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function occurrence(dayParts, start, end, tz) {
+  const startAt = zonedTimeToUtc({ ...dayParts, ...start }, tz);
+  const crosses = end.hour * 60 + end.minute <= start.hour * 60 + start.minute;
+  const endDay = crosses ? addZonedDays(dayParts, 1) : dayParts;
+  return { start: startAt, end: zonedTimeToUtc({ ...endDay, ...end }, tz) };
+}
+
+// The window containing `now` ({ active: true }) or the next one to open ({ active: false }).
+// Returns null when start/end are missing or describe an empty window.
+export function burstWindowAt(config, tz, now = new Date()) {
+  const start = parseHHmm(config?.startTime);
+  const end = parseHHmm(config?.endTime);
+  if (!start || !end || (start.hour === end.hour && start.minute === end.minute)) return null;
+  const today = zonedParts(now, tz);
+  const day = { year: today.year, month: today.month, day: today.day };
+  // yesterday's window may still be open if it crosses midnight
+  for (const offset of [-1, 0, 1]) {
+    const w = occurrence(addZonedDays(day, offset), start, end, tz);
+    if (now >= w.start && now < w.end) return { active: true, ...w };
+    if (now < w.start) return { active: false, ...w };
+  }
+  return null;
+}
+
+export function burstPlatforms(config) {
+  const list = Array.isArray(config?.platforms) && config.platforms.length ? config.platforms : ['instagram', 'youtube'];
+  return list.filter(p => p === 'instagram' || p === 'youtube');
+}
+
+// In the preload lead-in (or inside the window itself) content should already be scheduled
+export function inPreload(window, preloadMinutes, now = new Date()) {
+  if (!window) return false;
+  if (window.active) return true;
+  return window.start.getTime() - now.getTime() <= Math.max(0, Number(preloadMinutes) || 0) * 60 * 1000;
+}
+
+export function sessionRemaining(session) {
+  if (!session?.maxTotal) return null;
+  return Math.max(0, session.maxTotal - (session.posted || 0));
+}
+
+// Projected finish: when maxTotal would be reached at postsPerHour across the burst platforms, capped at window end
+export function projectFinish(session, now = new Date()) {
+  if (!session) return null;
+  const end = new Date(session.windowEnd);
+  const remaining = sessionRemaining(session);
+  const perHour = (session.postsPerHour || 0) * Math.max(1, session.platforms?.length || 1);
+  if (remaining === null || perHour <= 0) return end;
+  if (remaining === 0) return session.endedAt ? new Date(session.endedAt) : now;
+  const from = Math.max(now.getTime(), new Date(session.windowStart).getTime());
+  const projected = from + (remaining / perHour) * 60 * 60 * 1000;
+  return new Date(Math.min(projected, end.getTime(), from + DAY_MS));
+}
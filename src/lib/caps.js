@@ -0,0 +1,64 @@
+import PostQueue from '../models/PostQueue.js';
+import { resolveTimeZone, startOfZonedDay, startOfNextZonedDay } from './time.js';
+
+// Posting budget per platform: a rolling 60-minute hourly cap and a daily cap
+// counted from local midnight in the configured timezone.
+export const PLATFORMS = ['instagram', 'youtube'];
+
+function bucket(used, limit) {
+  const capped = Number.isFinite(limit) && limit >= 0;
+  return { used, limit: capped ? limit : null, remaining: capped ? Math.max(0, limit - used) : null };
+}
+
+// opts.hourlyOverrides: { platform: n } replacing hourlyLimit (e.g. Burst Mode posts-per-hour)
+// opts.skipDaily: platforms whose daily cap is not enforced (e.g. during a burst window)
+export async function getCapState(settings, { now = new Date(), hourlyOverrides = {}, skipDaily = [] } = {}) {
+  const timeZone = resolveTimeZone(settings);
+  const dayStart = startOfZonedDay(now, timeZone);
+  const dayEnd = startOfNextZonedDay(now, timeZone);
+  const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+
+  const platforms = {};
+  await Promise.all(PLATFORMS.map(async (platform) => {
+    const [hourUsed, dayUsed] = await Promise.all([
+      PostQueue.countDocuments({ platform, status: 'posted', postedAt: { $gte: hourAgo, $lte: now } }),
+      PostQueue.countDocuments({ platform, status: 'posted', postedAt: { $gte: dayStart, $lt: dayEnd } })
+    ]);
+    const hourlyLimit = Number(hourlyOverrides[platform] ?? settings.hourlyLimit);
+    const dailyLimit = skipDaily.includes(platform) ? NaN : Number(settings.dailyLimit);
+    platforms[platform] = { hourly: bucket(hourUsed, hourlyLimit), daily: bucket(dayUsed, dailyLimit) };
+  }));
+
+  return { timeZone, now, dayStart, dayResetsAt: dayEnd, platforms };
+}
+
+export function remainingFor(state, platform) {
+  const p = state.platforms[platform];
+  if (!p) return 0;
+  const values = [p.hourly.remaining, p.daily.remaining].filter(v => v !== null);
+  return values.length ? Math.min(...values) : Infinity;
+}
+
+export function canPost(state, platform) {
+  return remainingFor(state, platform) > 0;
+}
+
+// Record a post made during this tick so later items see the reduced budget
+export function consume(state, platform) {
+  const p = state.platforms[platform];
+  if (!p) return;
+  for (const b of [p.hourly, p.daily]) {
+    b.used += 1;
+    if (b.remaining !== null) b.remaining = Math.max(0, b.remaining - 1);
+  }
+}
+
+// JSON-friendly summary for status endpoints
+export function summarizeCaps(state) {
+  const out = {};
+  for (const [platform, p] of Object.entries(state.platforms)) {
+    const remaining = remainingFor(state, platform);
+    out[platform] = { hourly: p.hourly, daily: p.daily, remaining: Number.isFinite(remaining) ? remaining : null };
+  }
+  return out;
+}
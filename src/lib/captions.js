@@ -0,0 +1,164 @@
+import { openaiApiBase } from './apiBase.js';
+import { fetchJson } from './http.js';
+import { revealSecret } from './credentials.js';
+import { normalizeCaption } from './dedupe.js';
+
+// Caption pipeline: source caption -> (optional AI rewrite) -> per-platform template with a
+// rotating slice of the platform's hashtag set -> length / hashtag limits. The source caption is
+// never lost: items keep it in `originalCaption` and every refresh starts from it again.
+export const CAPTION_LIMITS = {
+  instagram: { maxLength: 2200, maxHashtags: 30 },
+  // the first line becomes the video title (100 chars). YouTube ignores every hashtag once there are
+  // more than 60 and only shows the first 3; 15 keeps descriptions readable well under that
+  youtube: { maxLength: 5000, maxHashtags: 15, titleLength: 100 }
+};
+export const DEFAULT_TEMPLATE = '{caption}\n\n{hashtags}';
+const DEFAULT_HASHTAG_COUNT = { instagram: 5, youtube: 3 };
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const AI_TIMEOUT_MS = 20000;
+// Total AI time one scheduling pass may spend; later items in the pass get template captions
+export const SCHEDULE_AI_BUDGET_MS = 60000;
+
+const HASHTAG_RE = /#[\p{L}\p{N}_]+/gu;
+
+export function normalizeHashtag(tag) {
+  const t = String(tag || '').trim().replace(/^#+/, '');
+  return /^[\p{L}\p{N}_]{1,100}$/u.test(t) ? `#${t}` : null;
+}
+
+// Caption text without its hashtags, and the hashtags in order of appearance
+export function splitHashtags(text) {
+  const tags = String(text || '').match(HASHTAG_RE) || [];
+  const body = String(text || '').replace(HASHTAG_RE, '').replace(/[ \t]+$/gm, '').replace(/[ \t]{2,}/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+  return { body, tags };
+}
+
+function uniqueTags(tags) {
+  const seen = new Set();
+  return tags.filter(t => {
+    const k = t.toLowerCase();
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+// `count` tags from the set, starting at an offset derived from the item so posts don't all carry the same tags
+function rotate(set, count, seed) {
+  if (!set.length || count <= 0) return [];
+  let h = 0;
+  for (const ch of String(seed || '')) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+  const start = h % set.length;
+  return Array.from({ length: Math.min(count, set.length) }, (_, i) => set[(start + i) % set.length]);
+}
+
+function truncateWords(text, max) {
+  if (text.length <= max) return text;
+  if (max <= 1) return '';
+  const cut = text.slice(0, max - 1);
+  const space = cut.search(/\s\S*$/);
+  return `${(space > max * 0.6 ? cut.slice(0, space) : cut).trimEnd()}…`;
+}
+
+const render = (template, vars) => template.replace(/\{(caption|title|hashtags|platform)\}/g, (_, k) => vars[k] ?? '')
+  .replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+
+export function captionConfigFor(settings, platform) {
+  const c = settings?.captionConfig || {};
+  return {
+    template: c.templates?.[platform] || DEFAULT_TEMPLATE,
+    hashtags: (c.hashtags?.[platform] || []).map(normalizeHashtag).filter(Boolean),
+    hashtagCount: c.hashtagCount?.[platform] ?? DEFAULT_HASHTAG_COUNT[platform] ?? 0,
+    model: c.model || process.env.OPENAI_MODEL || DEFAULT_MODEL,
+    instructions: c.instructions || ''
+  };
+}
+
+// Render `body` into the platform template and enforce the limits. Hashtags from the source come
+// first, then the rotated set; extra tags beyond the platform limit are dropped, then the body is
+// shortened at a word boundary until the whole caption fits.
+export function composeCaption({ body, sourceTags = [], platform, config, seed }) {
+  const limits = CAPTION_LIMITS[platform] || CAPTION_LIMITS.instagram;
+  const warnings = [];
+  const inTemplate = (config.template.match(HASHTAG_RE) || []).length;
+  const wanted = uniqueTags([...sourceTags, ...rotate(config.hashtags, config.hashtagCount, seed)]);
+  const room = Math.max(0, limits.maxHashtags - inTemplate);
+  const hashtags = wanted.slice(0, room);
+  if (wanted.length > hashtags.length) warnings.push(`dropped ${wanted.length - hashtags.length} hashtag(s) over the ${platform} limit of ${limits.maxHashtags}`);
+  const vars = { title: body.split('\n')[0], hashtags: hashtags.join(' '), platform };
+  let caption = render(config.template, { ...vars, caption: body });
+  if (caption.length > limits.maxLength) {
+    const overhead = render(config.template, { ...vars, caption: '' }).length;
+    caption = render(config.template, { ...vars, caption: truncateWords(body, Math.max(0, limits.maxLength - overhead - 2)) });
+    if (caption.length > limits.maxLength) caption = truncateWords(caption, limits.maxLength);
+    warnings.push(`shortened to the ${platform} limit of ${limits.maxLength} characters`);
+  }
+  if (limits.titleLength && caption.split('\n')[0].length > limits.titleLength) warnings.push(`first line is longer than the ${limits.titleLength} character title and will be cut`);
+  return { caption, hashtags, warnings };
+}
+
+// Rewrite the caption body with an OpenAI-compatible chat completions endpoint (OPENAI_API_BASE)
+export async function aiRewrite(settings, { body, platform, config }) {
+  const key = revealSecret(settings, 'openaiApiKey') || process.env.OPENAI_API_KEY;
+  if (!key) throw new Error('OpenAI key is not configured (openaiApiKey)');
+  const limits = CAPTION_LIMITS[platform] || CAPTION_LIMITS.instagram;
+  const system = [
+    `You write ${platform === 'youtube' ? 'YouTube Shorts descriptions' : 'Instagram Reels captions'} for a lifestyle and home design account.`,
+    'Rewrite the caption you are given so it reads fresh but keeps its meaning, facts, language and any @mentions.',
+    `Reply with the caption text only: no hashtags, no quotes, at most ${Math.min(limits.maxLength - 300, 600)} characters.`,
+    platform === 'youtube' ? `Make the first line a title of at most ${limits.titleLength} characters.` : '',
+    config.instructions
+  ].filter(Boolean).join(' ');
+  const j = await fetchJson(`${openaiApiBase()}/chat/completions`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model: config.model, temperature: 0.7, max_tokens: 400, messages: [{ role: 'system', content: system }, { role: 'user', content: body || '(no caption)' }] }),
+    signal: AbortSignal.timeout(AI_TIMEOUT_MS)
+  });
+  const text = String(j?.choices?.[0]?.message?.content || '').trim().replace(/^["“']+|["”']+$/g, '').trim();
+  if (!text) throw new Error('empty completion');
+  return { text, model: j.model || config.model };
+}
+
+// Generate a caption for `platform` from the source caption. With `ai` the body is rewritten first;
+// when that fails the template result is returned with the error in `aiError`.
+export async function generateCaption(settings, { caption, platform, seed }, { ai = !!settings?.aiCaptions } = {}) {
+  const config = captionConfigFor(settings, platform);
+  const original = String(caption || '');
+  const source = splitHashtags(original);
+  let body = source.body;
+  let extraTags = [];
+  let model = null;
+  let aiError = null;
+  if (ai) {
+    try {
+      const out = await aiRewrite(settings, { body: source.body, platform, config });
+      ({ body, tags: extraTags } = splitHashtags(out.text));
+      model = out.model;
+    } catch (e) {
+      aiError = e.name === 'TimeoutError' ? 'OpenAI request timed out' : e.message;
+    }
+  }
+  const composed = composeCaption({ body, sourceTags: [...source.tags, ...extraTags], platform, config, seed });
+  return { ...composed, original, source: model ? 'ai' : 'template', model, aiError, length: composed.caption.length };
+}
+
+// $set fields storing a generated caption on a queue item. captionNorm follows the original so
+// caption dedupe keeps comparing source content rather than rewrites.
+export function captionUpdate(gen, now = new Date()) {
+  return {
+    caption: gen.caption, originalCaption: gen.original, captionNorm: normalizeCaption(gen.original),
+    'meta.captionGen': { source: gen.source, model: gen.model, hashtags: gen.hashtags, warnings: gen.warnings, aiError: gen.aiError, at: now }
+  };
+}
+
+// With aiCaptions on, an item gets its caption when it is scheduled, unless it already has a
+// generated or hand-edited one (meta.captionGen). Returns the $set fields, or null. `aiUntil` (ms)
+// is the pass's deadline: past it the caption is rendered from the template without the rewrite.
+export async function scheduledCaption(settings, item, { aiUntil = Infinity } = {}) {
+  if (!settings?.aiCaptions || item.meta?.captionGen) return null;
+  const ai = Date.now() < aiUntil;
+  const gen = await generateCaption(settings, { caption: item.originalCaption ?? item.caption, platform: item.platform, seed: String(item._id) }, { ai });
+  if (!ai) gen.aiError = 'skipped: scheduling pass used up its AI time';
+  return captionUpdate(gen);
+}
@@ -0,0 +1,105 @@
+import crypto from 'node:crypto';
+import Settings from '../models/Settings.js';
+
+// Settings fields stored encrypted. IDs (igBusinessId, youtubeChannelId, bucket, region...) are not secrets.
+export const SECRET_FIELDS = [
+  'instagramToken', 'facebookAppSecret', 'youtubeAccessToken', 'youtubeRefreshToken', 'youtubeClientSecret',
+  'openaiApiKey', 's3AccessKey', 's3SecretKey', 'mongoURI', 'dropboxToken', 'runwayApiKey'
+];
+
+// Stored form: enc:v1:<keyId>:<iv>:<tag>:<ciphertext> (AES-256-GCM, base64url parts).
+// The field name is bound as associated data, so a value cannot be moved to another field.
+const PREFIX = 'enc:v1:';
+
+function parseKey(raw) {
+  const s = String(raw || '').trim();
+  const buf = /^[0-9a-f]{64}$/i.test(s) ? Buffer.from(s, 'hex') : Buffer.from(s, 'base64');
+  if (buf.length !== 32) throw new Error('Credential keys must be 32 bytes (64 hex chars or base64)');
+  return { id: crypto.createHash('sha256').update(buf).digest('hex').slice(0, 8), key: buf };
+}
+
+// CREDENTIALS_KEY encrypts; CREDENTIALS_OLD_KEYS (comma separated) still decrypt during a rotation
+let keyCache = { raw: null, current: null, all: [] };
+function keyring() {
+  const raw = `${process.env.CREDENTIALS_KEY || ''}|${process.env.CREDENTIALS_OLD_KEYS || ''}`;
+  if (raw !== keyCache.raw) {
+    const current = process.env.CREDENTIALS_KEY ? parseKey(process.env.CREDENTIALS_KEY) : null;
+    const old = (process.env.CREDENTIALS_OLD_KEYS || '').split(',').map(s => s.trim()).filter(Boolean).map(parseKey);
+    keyCache = { raw, current, all: [current, ...old].filter(Boolean) };
+  }
+  return keyCache;
+}
+
+export function encryptionEnabled() {
+  return !!keyring().current;
+}
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+export function keyIdOf(value) {
+  return isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+}
+
+export function encryptSecret(plain, field) {
+  const { current } = keyring();
+  if (!current) throw new Error('CREDENTIALS_KEY is not set; refusing to store credentials in plain text');
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', current.key, iv);
+  cipher.setAAD(Buffer.from(field));
+  const ct = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return `${PREFIX}${current.id}:${iv.toString('base64url')}:${cipher.getAuthTag().toString('base64url')}:${ct.toString('base64url')}`;
+}
+
+export function decryptSecret(value, field) {
+  if (!isEncrypted(value)) return value || ''; // legacy plain text (encrypted by the next rotation)
+  const [keyId, iv, tag, ct] = value.slice(PREFIX.length).split(':');
+  const entry = keyring().all.find(k => k.id === keyId);
+  if (!entry) throw new Error(`No credential key ${keyId} configured for ${field}`);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', entry.key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(field));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ct, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+// Plain-text value of a stored credential, for the call site that sends it
+export function revealSecret(settings, field) {
+  const value = settings?.[field];
+  if (!SECRET_FIELDS.includes(field)) return value || '';
+  return decryptSecret(value, field);
+}
+
+// Encrypt the secret fields of a settings update before it is written
+export function sealSecrets(update) {
+  const out = { ...update };
+  for (const field of SECRET_FIELDS) {
+    if (typeof out[field] === 'string' && out[field] && !isEncrypted(out[field])) out[field] = encryptSecret(out[field], field);
+  }
+  return out;
+}
+
+// Re-encrypt every stored secret under CREDENTIALS_KEY: values under an old key and
+// legacy plain text. Safe to run repeatedly; values already under the current key are left alone.
+export async function rotateCredentials() {
+  const { current } = keyring();
+  if (!current) throw new Error('CREDENTIALS_KEY is not set');
+  const docs = await Settings.find({}, SECRET_FIELDS.join(' ')).lean();
+  const report = { keyId: current.id, documents: docs.length, reencrypted: 0, encryptedPlain: 0, unchanged: 0, failed: [] };
+  for (const doc of docs) {
+    const update = {};
+    for (const field of SECRET_FIELDS) {
+      const value = doc[field];
+      if (!value) continue;
+      if (keyIdOf(value) === current.id) { report.unchanged++; continue; }
+      try {
+        update[field] = encryptSecret(decryptSecret(value, field), field);
+        if (isEncrypted(value)) report.reencrypted++; else report.encryptedPlain++;
+      } catch (e) {
+        report.failed.push({ id: doc._id, field, error: e.message });
+      }
+    }
+    if (Object.keys(update).length) await Settings.updateOne({ _id: doc._id }, { $set: update });
+  }
+  return report;
+}
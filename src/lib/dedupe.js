@@ -0,0 +1,253 @@
+import PostedMemo from '../models/PostedMemo.js';
+import PostQueue from '../models/PostQueue.js';
+import { createMemoIndex } from './memoIndex.js';
+
+// Shared dedupe engine used by refill, post-time rechecks, autofill and the debug route.
+// Rules compare a candidate against recently posted memos:
+//   duplicate_visual            visual hash Hamming distance <= visualHamming (closest pair across
+//                               visualHash and frameHashes of both sides)
+//   duplicate_caption           caption cosine similarity >= captionSim
+//   duplicate_caption_duration  caption similarity >= captionDurationSim and duration delta <= durationDeltaSec
+//                               (only when both durations are known)
+//   duplicate_audio             same audioKey (when audioMatch is on)
+export const DEFAULT_THRESHOLDS = {
+  visualHamming: 8,
+  captionSim: 0.92,
+  captionDurationSim: 0.85,
+  durationDeltaSec: 1
+};
+
+export function normalizeCaption(caption = '') {
+  return String(caption)
+    .toLowerCase()
+    .replace(/[\u{1F600}-\u{1F6FF}]/gu, '')
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/[^a-z0-9\s#]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function popcount32(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return (((x + (x >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+const HEX = /^[0-9a-f]+$/i;
+
+export function isValidHash(h) {
+  return typeof h === 'string' && HEX.test(h);
+}
+
+// Bit distance between two hex hashes (shorter one zero-padded on the left); 9999 if either is missing
+export function hammingDistanceHex(a, b) {
+  if (!isValidHash(a) || !isValidHash(b)) return 9999;
+  const len = Math.ceil(Math.max(a.length, b.length) / 8) * 8;
+  const pa = a.padStart(len, '0');
+  const pb = b.padStart(len, '0');
+  let dist = 0;
+  for (let i = 0; i < len; i += 8) {
+    dist += popcount32((parseInt(pa.slice(i, i + 8), 16) ^ parseInt(pb.slice(i, i + 8), 16)) >>> 0);
+  }
+  return dist;
+}
+
+// pHashes an item or memo can be matched on: its primary visualHash plus every hashed frame
+export function hashSet(x) {
+  const out = [];
+  for (const h of [x?.visualHash, ...(x?.frameHashes || []).map(f => f?.phash)]) {
+    if (isValidHash(h) && !out.includes(h)) out.push(h);
+  }
+  return out;
+}
+
+export function visualDistance(a, b) {
+  if (!a?.frameHashes?.length && !b?.frameHashes?.length) return hammingDistanceHex(a?.visualHash, b?.visualHash);
+  let best = 9999;
+  for (const ha of hashSet(a)) for (const hb of hashSet(b)) best = Math.min(best, hammingDistanceHex(ha, hb));
+  return best;
+}
+
+export function cosineSimFromTokens(a, b) {
+  const ta = new Map();
+  const tb = new Map();
+  for (const t of a.split(' ')) ta.set(t, (ta.get(t) || 0) + 1);
+  for (const t of b.split(' ')) tb.set(t, (tb.get(t) || 0) + 1);
+  const all = new Set([...ta.keys(), ...tb.keys()]);
+  let dot = 0, na = 0, nb = 0;
+  all.forEach(k => { const va = ta.get(k) || 0; const vb = tb.get(k) || 0; dot += va * vb; na += va * va; nb += vb * vb; });
+  if (na === 0 || nb === 0) return 0;
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
+
+const num = (v, d) => (Number.isFinite(Number(v)) && v !== null && v !== '' ? Number(v) : d);
+
+// Effective config for one platform: window, matching options and merged thresholds
+export function resolveDedupeConfig(settings, platform) {
+  const cfg = settings?.dedupeConfig || {};
+  const own = cfg.thresholds?.[platform] || {};
+  const thresholds = {};
+  for (const [k, d] of Object.entries(DEFAULT_THRESHOLDS)) thresholds[k] = num(own[k], d);
+  const windowType = cfg.windowType === 'days' ? 'days' : 'lastN';
+  return {
+    platform,
+    windowType,
+    windowN: num(settings?.recentPostsToCheck, null) || num(settings?.recentPostsWindowCount, null) || 30,
+    windowDays: num(settings?.visualSimilarityDays, null) || 30,
+    crossPlatform: !!cfg.crossPlatform,
+    audioMatch: !!cfg.audioMatch,
+    thresholds
+  };
+}
+
+// Recent memos the candidate is compared against (last-N or last-days; one platform or all)
+export async function loadRecentPosted(config, now = new Date()) {
+  const filter = config.crossPlatform ? {} : { platform: config.platform };
+  if (config.windowType === 'days') {
+    filter.postedAt = { $gte: new Date(now.getTime() - config.windowDays * 24 * 60 * 60 * 1000) };
+    return PostedMemo.find(filter).sort({ postedAt: -1 }).limit(5000).lean();
+  }
+  return PostedMemo.find(filter).sort({ postedAt: -1 }).limit(config.windowN).lean();
+}
+
+// Generated captions vary between runs, so the source caption is what gets compared
+const candidateCaptionNorm = (c) => {
+  const text = c.originalCaption ?? c.caption;
+  return text ? normalizeCaption(text) : (c.captionNorm || '');
+};
+
+// Every rule for one candidate/memo pair, with its score and whether it fired
+export function evaluatePair(candidate, memo, config) {
+  const t = config.thresholds;
+  const captionNorm = candidateCaptionNorm(candidate);
+  const hamming = visualDistance(candidate, memo);
+  const capSim = cosineSimFromTokens(captionNorm, memo.captionNorm || '');
+  const durDelta = candidate.durationSec > 0 && memo.durationSec > 0 ? Math.abs(candidate.durationSec - memo.durationSec) : null;
+  const rules = [
+    { rule: 'duplicate_visual', score: hamming, threshold: t.visualHamming, triggered: hamming <= t.visualHamming },
+    { rule: 'duplicate_caption', score: capSim, threshold: t.captionSim, triggered: capSim >= t.captionSim },
+    { rule: 'duplicate_caption_duration', score: { captionSim: capSim, durationDelta: durDelta }, threshold: { captionSim: t.captionDurationSim, durationDeltaSec: t.durationDeltaSec }, triggered: capSim >= t.captionDurationSim && durDelta !== null && durDelta <= t.durationDeltaSec }
+  ];
+  if (config.audioMatch) {
+    const same = !!candidate.audioKey && candidate.audioKey === memo.audioKey;
+    rules.push({ rule: 'duplicate_audio', score: same ? 1 : 0, threshold: 1, triggered: same });
+  }
+  return rules;
+}
+
+// Decision plus the full per-memo breakdown. reason is the first rule hit on the most recent matching memo.
+export function evaluateCandidate(candidate, recent, config) {
+  const matches = [];
+  for (const memo of recent) {
+    const rules = evaluatePair(candidate, memo, config);
+    const triggered = rules.filter(r => r.triggered).map(r => r.rule);
+    matches.push({ memo, rules, triggered, crossPlatform: memo.platform !== candidate.platform });
+  }
+  const first = matches.find(m => m.triggered.length);
+  return {
+    duplicate: !!first,
+    reason: first ? first.triggered[0] : 'none',
+    match: first ? { id: first.memo._id, source: first.memo.source || 'posted', platform: first.memo.platform, postedAt: first.memo.postedAt || null, scheduledAt: first.memo.scheduledAt || null, rules: first.triggered } : null,
+    matches
+  };
+}
+
+export async function checkDuplicate(candidate, settings, { recent } = {}) {
+  const config = resolveDedupeConfig(settings, candidate.platform);
+  const list = recent || await loadRecentPosted(config);
+  return { ...evaluateCandidate(candidate, list, config), config };
+}
+
+// Process-wide index of posted memos, loaded once and then kept in sync: memos posted
+// here are added directly, memos written by other instances are picked up by createdAt.
+const MEMO_PROJECTION = { platform: 1, postedAt: 1, visualHash: 1, frameHashes: 1, captionNorm: 1, audioKey: 1, durationSec: 1, createdAt: 1 };
+const memoIndexState = { index: null, ids: new Set(), highWater: new Date(0), loading: null };
+
+export function newMemoIndex() {
+  return createMemoIndex({ distance: hammingDistanceHex, tokenize: (c) => c.split(' '), hashesOf: hashSet });
+}
+
+// Drop the index so the next lookup reloads it (after memos were changed in place, e.g. hash backfill)
+export function resetMemoIndex() {
+  Object.assign(memoIndexState, { index: null, ids: new Set(), highWater: new Date(0) });
+}
+
+function indexMemo(memo) {
+  const id = String(memo._id);
+  if (memoIndexState.ids.has(id)) return;
+  memoIndexState.ids.add(id);
+  memoIndexState.index.add(memo);
+  if (memo.createdAt && new Date(memo.createdAt) > memoIndexState.highWater) memoIndexState.highWater = new Date(memo.createdAt);
+}
+
+export async function getMemoIndex() {
+  if (!memoIndexState.index) {
+    memoIndexState.loading ||= (async () => {
+      const limit = Number(process.env.MEMO_INDEX_LIMIT || 50000);
+      const rows = await PostedMemo.find({}, MEMO_PROJECTION).sort({ postedAt: -1 }).limit(limit).lean();
+      memoIndexState.index = newMemoIndex();
+      for (const m of rows.reverse()) indexMemo(m);
+    })().finally(() => { memoIndexState.loading = null; });
+    await memoIndexState.loading;
+    return memoIndexState.index;
+  }
+  const fresh = await PostedMemo.find({ createdAt: { $gt: memoIndexState.highWater } }, MEMO_PROJECTION).sort({ createdAt: 1 }).lean();
+  for (const m of fresh) indexMemo(m);
+  return memoIndexState.index;
+}
+
+// Call after creating a PostedMemo so later checks in the same tick see it
+export function recordPostedMemo(memo) {
+  if (!memoIndexState.index) return;
+  indexMemo(typeof memo.toObject === 'function' ? memo.toObject() : memo);
+}
+
+const sameId = (a, b) => a && b && String(a) === String(b);
+
+function asPoolEntry(item, source) {
+  return {
+    _id: item._id, source, platform: item.platform, status: item.status, scheduledAt: item.scheduledAt || null,
+    visualHash: item.visualHash, frameHashes: item.frameHashes, captionNorm: item.captionNorm || normalizeCaption(item.caption || ''), durationSec: item.durationSec, audioKey: item.audioKey
+  };
+}
+
+// Dedupe for one scheduler tick or batch: posted memos come from the shared index; with
+// opts.pending (scheduling) candidates are also compared against items already scheduled
+// or posting and against earlier picks of the same batch. Windows load once per platform.
+export function createDedupeSession(settings, { pending: includePending = true } = {}) {
+  const contexts = new Map();
+  const batch = [];
+  let indexReady = null;
+
+  async function context(platform) {
+    if (!contexts.has(platform)) {
+      const config = resolveDedupeConfig(settings, platform);
+      const scope = config.crossPlatform ? {} : { platform };
+      indexReady ||= getMemoIndex();
+      const [, pending] = await Promise.all([
+        indexReady,
+        includePending
+          ? PostQueue.find({ status: { $in: ['scheduled', 'posting'] }, ...scope }, { platform: 1, status: 1, scheduledAt: 1, visualHash: 1, frameHashes: 1, caption: 1, captionNorm: 1, durationSec: 1, audioKey: 1 }).lean()
+          : []
+      ]);
+      contexts.set(platform, { config, pending: pending.map(p => asPoolEntry(p, 'pending')) });
+    }
+    return contexts.get(platform);
+  }
+
+  return {
+    async check(candidate) {
+      const ctx = await context(candidate.platform);
+      const index = await indexReady;
+      const captionNorm = candidateCaptionNorm(candidate);
+      const inScope = (x) => !sameId(x._id, candidate._id) && (ctx.config.crossPlatform || x.platform === candidate.platform);
+      const posted = index.candidates(candidate, ctx.config, captionNorm).map(m => ({ ...m, source: 'posted' }));
+      const pool = [...batch.filter(inScope), ...ctx.pending.filter(inScope), ...posted];
+      return { ...evaluateCandidate(candidate, pool, ctx.config), config: ctx.config };
+    },
+    // Record a pick so later candidates in this batch are checked against it
+    add(item) {
+      batch.unshift(asPoolEntry(item, 'batch'));
+    }
+  };
+}
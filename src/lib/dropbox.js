@@ -0,0 +1,102 @@
+import SyncState from '../models/SyncState.js';
+import { dropboxApiBase, dropboxContentBase } from './apiBase.js';
+import { fetchJson, HttpError } from './http.js';
+import { revealSecret } from './credentials.js';
+import { ingestFiles } from './ingest.js';
+import { hashImages } from './visualHash.js';
+
+function rpc(token, endpoint, body) {
+  return fetchJson(`${dropboxApiBase()}/2/${endpoint}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+// Dropbox uses '' for the root folder
+export function normalizeDropboxPath(path = '') {
+  const p = String(path || '').trim().replace(/\/+$/, '');
+  if (!p || p === '/') return '';
+  return p.startsWith('/') ? p : `/${p}`;
+}
+
+// All changes since `cursor` (or the whole folder without one), following has_more.
+// An expired cursor (409 reset/...) falls back to a full listing.
+export async function listFolderChanges(token, { path, cursor = null, recursive = true }) {
+  const entries = [];
+  let pages = 0;
+  let reset = false;
+  let page;
+  try {
+    page = cursor
+      ? await rpc(token, 'files/list_folder/continue', { cursor })
+      : await rpc(token, 'files/list_folder', { path, recursive, include_deleted: false, limit: 2000 });
+  } catch (e) {
+    if (!(cursor && e instanceof HttpError && e.status === 409 && /^reset/.test(e.body?.error_summary || ''))) throw e;
+    reset = true;
+    page = await rpc(token, 'files/list_folder', { path, recursive, include_deleted: false, limit: 2000 });
+  }
+  for (;;) {
+    pages++;
+    entries.push(...(page.entries || []));
+    if (!page.has_more) break;
+    page = await rpc(token, 'files/list_folder/continue', { cursor: page.cursor });
+  }
+  return { entries, cursor: page.cursor, pages, reset };
+}
+
+// Public direct-download URL for a file (shared link with raw=1), reusing an existing link
+export async function sharedMediaUrl(token, path) {
+  let url;
+  try {
+    ({ url } = await rpc(token, 'sharing/create_shared_link_with_settings', { path, settings: { requested_visibility: 'public' } }));
+  } catch (e) {
+    if (!(e instanceof HttpError && e.status === 409)) throw e;
+    url = e.body?.error?.shared_link_already_exists?.metadata?.url;
+    if (!url) url = (await rpc(token, 'sharing/list_shared_links', { path, direct_only: true })).links?.[0]?.url;
+    if (!url) throw e;
+  }
+  const u = new URL(url);
+  u.searchParams.delete('dl');
+  u.searchParams.set('raw', '1');
+  return u.toString();
+}
+
+// JPEG thumbnail Dropbox renders from a video's frames (hashed for visual dedupe).
+// The argument header must be ASCII, so non-ASCII path characters are escaped.
+export async function dropboxThumbnail(token, path) {
+  const arg = JSON.stringify({ resource: { '.tag': 'path', path }, format: 'jpeg', size: 'w480h320', mode: 'fitone_bestfit' })
+    .replace(/[\u007f-\uffff]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+  const res = await fetch(`${dropboxContentBase()}/2/files/get_thumbnail_v2`, { method: 'POST', headers: { Authorization: `Bearer ${token}`, 'Dropbox-API-Arg': arg } });
+  if (!res.ok) {
+    const text = await res.text();
+    throw new HttpError(`Dropbox thumbnail failed: HTTP ${res.status} ${text.slice(0, 200)}`, res.status, text);
+  }
+  return Buffer.from(await res.arrayBuffer());
+}
+
+// One incremental sync of a folder: list changes since the stored cursor, queue new videos,
+// then store the new cursor. The cursor only moves after the run completes; a crashed run is
+// simply repeated and the content-hash dedupe keeps it from queuing twice.
+export async function syncDropboxFolder(settings, { path = '', platforms, reset = false, now = new Date() }) {
+  const token = revealSecret(settings, 'dropboxToken') || process.env.DROPBOX_TOKEN;
+  if (!token) throw new Error('Dropbox is not configured (dropboxToken)');
+  const folder = normalizeDropboxPath(path);
+  const key = `dropbox:${folder || '/'}`;
+  const state = await SyncState.findOne({ key }).lean();
+  const started = Date.now();
+  const listing = await listFolderChanges(token, { path: folder, cursor: reset ? null : state?.cursor });
+  const files = listing.entries.filter(e => e['.tag'] === 'file').map(e => ({
+    id: e.id, name: e.name, path: e.path_display || e.path_lower, size: e.size, rev: e.rev,
+    modifiedAt: e.server_modified ? new Date(e.server_modified) : null, contentHash: e.content_hash
+  }));
+  const { report, created } = await ingestFiles(files, { provider: 'dropbox', platforms, resolveMediaUrl: f => sharedMediaUrl(token, f.path), hashFile: async f => hashImages([await dropboxThumbnail(token, f.path)]) });
+  const summary = {
+    provider: 'dropbox', folder: folder || '/', ranAt: now, durationMs: Date.now() - started, pages: listing.pages,
+    fullListing: !state?.cursor || reset || listing.reset, changes: listing.entries.length, ignored: listing.entries.length - files.length,
+    added: report.added.length, duplicates: report.duplicates.length, skipped: report.skipped.length, details: report
+  };
+  const stored = { ...summary, details: Object.fromEntries(Object.entries(report).map(([k, v]) => [k, v.slice(0, 200)])) };
+  await SyncState.updateOne({ key }, { $set: { provider: 'dropbox', cursor: listing.cursor, lastRunAt: now, lastReport: stored } }, { upsert: true });
+  return { summary, created };
+}
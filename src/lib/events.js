@@ -0,0 +1,129 @@
+import { EventEmitter } from 'node:events';
+import EventLog from '../models/EventLog.js';
+import Counter from '../models/Counter.js';
+import { sleep } from './http.js';
+
+export const EVENT_TYPES = ['schedule', 'claim', 'post_success', 'failure', 'queue_added', 'queue', 'burst'];
+
+const hub = new EventEmitter();
+hub.setMaxListeners(0);
+// seqs come from a shared counter, so another instance's event can be inserted after a higher seq
+// from this one: the tail and each stream deliver whatever they have not seen, remembering the last
+// SEEN_MAX seqs, instead of dropping everything below the highest seq sent
+const SEEN_MAX = 1000;
+
+export function createSeenSeqs(max = SEEN_MAX) {
+  const seen = new Set();
+  let high = 0;
+  return {
+    add(seq) {
+      if (seen.has(seq)) return false;
+      seen.add(seq);
+      if (seen.size > max) seen.delete(seen.values().next().value);
+      high = Math.max(high, seq);
+      return true;
+    },
+    get high() { return high; }
+  };
+}
+
+const tailSeen = createSeenSeqs();
+let writeChain = Promise.resolve();
+let tailing = false;
+
+function storeLimits() {
+  return {
+    max: Math.max(100, Number(process.env.EVENT_STORE_MAX) || 5000),
+    size: Math.max(1, Number(process.env.EVENT_STORE_MB) || 16) * 1024 * 1024
+  };
+}
+
+// Create the capped collection once (no-op if it already exists) and its seq index
+export async function ensureEventStore() {
+  const db = EventLog.db.db;
+  const name = EventLog.collection.collectionName;
+  const [info] = await db.listCollections({ name }).toArray();
+  const { max, size } = storeLimits();
+  if (!info) await db.createCollection(name, { capped: true, size, max });
+  else if (!info.options?.capped) await db.command({ convertToCapped: name, size });
+  await EventLog.createIndexes();
+}
+
+// Appends are chained so this instance's events get increasing seq in call order
+export function appendEvent(e) {
+  const write = writeChain.then(async () => {
+    const { seq } = await Counter.findOneAndUpdate({ _id: 'events' }, { $inc: { seq: 1 } }, { upsert: true, new: true }).lean();
+    const doc = { seq, type: e.type, platform: e.platform || null, message: e.message || '', meta: e.meta || {}, ts: Date.now() };
+    await EventLog.create(doc);
+    return doc;
+  });
+  writeChain = write.catch(() => {});
+  return write;
+}
+
+export function toClientEvent(doc) {
+  return { id: String(doc.seq), seq: doc.seq, ts: doc.ts, type: doc.type, platform: doc.platform, message: doc.message, meta: doc.meta };
+}
+
+// ?types=a,b&platforms=x,y (comma separated, empty = all); types outside EVENT_TYPES end up in unknownTypes
+export function parseEventFilter(query = {}) {
+  const list = (v) => [].concat(v || []).flatMap(x => String(x).split(',')).map(x => x.trim()).filter(Boolean);
+  const types = list(query.types ?? query.type);
+  const platforms = list(query.platforms ?? query.platform);
+  return { types: types.length ? new Set(types) : null, platforms: platforms.length ? new Set(platforms) : null, unknownTypes: types.filter(t => !EVENT_TYPES.includes(t)) };
+}
+
+export const unknownTypesError = (filter) => `unknown event type(s) ${filter.unknownTypes.join(', ')}; expected ${EVENT_TYPES.join(', ')}`;
+
+export function matchesFilter(ev, filter) {
+  if (filter.types && !filter.types.has(ev.type)) return false;
+  if (filter.platforms && !filter.platforms.has(ev.platform)) return false;
+  return true;
+}
+
+export function filterQuery(filter) {
+  const q = {};
+  if (filter.types) q.type = { $in: [...filter.types] };
+  if (filter.platforms) q.platform = { $in: [...filter.platforms] };
+  return q;
+}
+
+export async function eventsAfter(seq, filter, limit = 1000) {
+  const docs = await EventLog.find({ ...filterQuery(filter), seq: { $gt: seq } }).sort({ seq: 1 }).limit(limit).lean();
+  return docs.map(toClientEvent);
+}
+
+export async function recentEvents({ since = 0, filter = {}, limit = 200 } = {}) {
+  const q = { ...filterQuery(filter) };
+  if (since) q.ts = { $gt: since };
+  const docs = await EventLog.find(q).sort({ seq: -1 }).limit(limit).lean();
+  return docs.map(toClientEvent);
+}
+
+// One tailable cursor per process fans new events (from any instance) out to subscribers, in
+// insertion order. A tailable cursor dies when the collection is empty or the connection drops,
+// so it is reopened SEEN_MAX seqs back and skips the ones already emitted.
+export async function startEventTail() {
+  if (tailing) return;
+  tailing = true;
+  const recent = await EventLog.find({}, { seq: 1 }).sort({ seq: -1 }).limit(SEEN_MAX).lean().catch(() => []);
+  for (const doc of recent.reverse()) tailSeen.add(doc.seq);
+  (async () => {
+    for (;;) {
+      try {
+        const cursor = EventLog.find({ seq: { $gt: Math.max(0, tailSeen.high - SEEN_MAX) } }).tailable(true, { awaitData: true }).lean().cursor();
+        for await (const doc of cursor) {
+          if (tailSeen.add(doc.seq)) hub.emit('event', toClientEvent(doc));
+        }
+      } catch (e) {
+        if (!/tailable cursor|cursor killed|CappedPositionLost/i.test(String(e?.message))) console.warn('event tail:', e.message);
+      }
+      await sleep(1000);
+    }
+  })();
+}
+
+export function subscribe(fn) {
+  hub.on('event', fn);
+  return () => hub.off('event', fn);
+}
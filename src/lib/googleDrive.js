@@ -0,0 +1,124 @@
+import SyncState from '../models/SyncState.js';
+import { driveApiBase } from './apiBase.js';
+import { fetchJson, HttpError } from './http.js';
+import { youtubeAccessToken } from './tokens.js';
+import { ingestFiles } from './ingest.js';
+import { fetchImage, hashImages } from './visualHash.js';
+
+const FILE_FIELDS = 'id,name,mimeType,md5Checksum,size,description,modifiedTime,parents,trashed,webContentLink,thumbnailLink';
+const ALL_DRIVES = 'supportsAllDrives=true&includeItemsFromAllDrives=true';
+
+const DRIVE_SCOPE = 'https://www.googleapis.com/auth/drive.readonly';
+
+// A Google token minted for YouTube only is refused with a bare 403; name the missing scope instead
+function scopeMissing(e) {
+  const err = e instanceof HttpError && e.status === 403 ? e.body?.error : null;
+  if (!err) return false;
+  const reasons = [...(err.errors || []), ...(err.details || [])].map(d => d?.reason);
+  return reasons.includes('insufficientPermissions') || reasons.includes('ACCESS_TOKEN_SCOPE_INSUFFICIENT') || /insufficient authentication scopes/i.test(err.message || '');
+}
+
+async function get(token, path) {
+  try {
+    return await fetchJson(`${driveApiBase()}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+  } catch (e) {
+    if (scopeMissing(e)) throw new HttpError(`The Google token lacks the ${DRIVE_SCOPE} scope: authorize the OAuth client again with it`, 403, e.body);
+    throw e;
+  }
+}
+
+// Every file directly in the folder, following nextPageToken
+export async function listDriveFolder(token, folderId) {
+  const q = encodeURIComponent(`'${folderId.replace(/'/g, "\\'")}' in parents and trashed = false`);
+  const files = [];
+  let pageToken = '';
+  let pages = 0;
+  do {
+    const j = await get(token, `/files?q=${q}&pageSize=1000&fields=nextPageToken,files(${FILE_FIELDS})&${ALL_DRIVES}${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`);
+    files.push(...(j.files || []));
+    pageToken = j.nextPageToken || '';
+    pages++;
+  } while (pageToken);
+  return { files, pages };
+}
+
+export async function startPageToken(token) {
+  const j = await get(token, `/changes/startPageToken?supportsAllDrives=true`);
+  return j.startPageToken;
+}
+
+// Changed files since `pageToken` that are (still) in the folder; returns the next start token
+export async function listDriveChanges(token, folderId, pageToken) {
+  const files = [];
+  let pages = 0;
+  let changes = 0;
+  let next = pageToken;
+  for (;;) {
+    const j = await get(token, `/changes?pageToken=${encodeURIComponent(next)}&pageSize=1000&fields=nextPageToken,newStartPageToken,changes(removed,fileId,file(${FILE_FIELDS}))&${ALL_DRIVES}`);
+    pages++;
+    for (const c of j.changes || []) {
+      changes++;
+      if (!c.removed && c.file && !c.file.trashed && (c.file.parents || []).includes(folderId)) files.push(c.file);
+    }
+    if (j.newStartPageToken) return { files, pages, changes, pageToken: j.newStartPageToken };
+    next = j.nextPageToken;
+    if (!next) throw new Error('Drive changes returned neither nextPageToken nor newStartPageToken');
+  }
+}
+
+// Files are referenced, not copied: the platforms fetch webContentLink, which Drive only
+// returns for link-shared files. Private files are reported as skipped until they are shared.
+function driveMediaUrl(file) {
+  if (!file.webContentLink) throw new Error('file is not link-shared (no webContentLink)');
+  return file.webContentLink;
+}
+
+// Drive's thumbnail of a video file (a rendered frame); thumbnailLink is short-lived, so it is looked up fresh
+export async function driveThumbnail(token, fileId) {
+  const f = await get(token, `/files/${encodeURIComponent(fileId)}?fields=thumbnailLink&supportsAllDrives=true`);
+  if (!f.thumbnailLink) throw new Error('Drive has no thumbnail for this file');
+  return fetchImage(f.thumbnailLink, { headers: { Authorization: `Bearer ${token}` } });
+}
+
+// One incremental sync: the first run (or `reset`) lists the folder and stores a start page
+// token; later runs read the changes feed from the stored token. Files are deduped by md5Checksum.
+export async function syncDriveFolder(settings, { folderId, platforms, reset = false, now = new Date() }) {
+  if (!folderId) throw new Error('No Google Drive folder configured (googleDriveFolderId)');
+  // Drive uses the same Google OAuth client as YouTube; the refresh token needs the drive.readonly scope
+  const token = await youtubeAccessToken(settings);
+  if (!token) throw new Error('Google Drive needs a Google OAuth token (youtubeAccessToken or refresh credentials)');
+  const key = `gdrive:${folderId}`;
+  const state = await SyncState.findOne({ key }).lean();
+  const started = Date.now();
+  let listing = null;
+  let fullListing = reset || !state?.cursor;
+  if (!fullListing) {
+    try {
+      listing = await listDriveChanges(token, folderId, state.cursor);
+    } catch (e) {
+      // an expired or unknown page token: start over with a full listing
+      if (!(e instanceof HttpError && [400, 404, 410].includes(e.status))) throw e;
+      fullListing = true;
+    }
+  }
+  if (fullListing) {
+    // take the token first so nothing changed during the listing is missed
+    const pageToken = await startPageToken(token);
+    const l = await listDriveFolder(token, folderId);
+    listing = { files: l.files, pages: l.pages, changes: l.files.length, pageToken };
+  }
+  const files = listing.files.filter(f => f.mimeType !== 'application/vnd.google-apps.folder').map(f => ({
+    id: f.id, name: f.name, mimeType: f.mimeType, size: f.size != null ? Number(f.size) : null,
+    modifiedAt: f.modifiedTime ? new Date(f.modifiedTime) : null, contentHash: f.md5Checksum, caption: f.description, webContentLink: f.webContentLink, thumbnailLink: f.thumbnailLink
+  }));
+  const hashFile = async f => (f.thumbnailLink ? hashImages([await driveThumbnail(token, f.id)]) : null);
+  const { report, created } = await ingestFiles(files, { provider: 'gdrive', platforms, resolveMediaUrl: driveMediaUrl, hashFile });
+  const summary = {
+    provider: 'gdrive', folder: folderId, ranAt: now, durationMs: Date.now() - started, pages: listing.pages, fullListing,
+    changes: listing.changes, ignored: listing.files.length - files.length,
+    added: report.added.length, duplicates: report.duplicates.length, skipped: report.skipped.length, details: report
+  };
+  const stored = { ...summary, details: Object.fromEntries(Object.entries(report).map(([k, v]) => [k, v.slice(0, 200)])) };
+  await SyncState.updateOne({ key }, { $set: { provider: 'gdrive', cursor: listing.pageToken, lastRunAt: now, lastReport: stored } }, { upsert: true });
+  return { summary, created };
+}
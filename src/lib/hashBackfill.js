@@ -0,0 +1,141 @@
+import PostQueue from '../models/PostQueue.js';
+import PostedMemo from '../models/PostedMemo.js';
+import { graphApiBase, youtubeApiBase } from './apiBase.js';
+import { fetchJson } from './http.js';
+import { revealSecret } from './credentials.js';
+import { youtubeAccessToken } from './tokens.js';
+import { dropboxThumbnail } from './dropbox.js';
+import { driveThumbnail } from './googleDrive.js';
+import { s3Config, s3Configured, parseS3Url, presignUrl } from './s3.js';
+import { createVideoProbe } from './videoProbe.js';
+import { fetchImage, hashImages } from './visualHash.js';
+import { resetMemoIndex } from './dedupe.js';
+
+const isHttp = (u) => typeof u === 'string' && /^https?:\/\//.test(u);
+
+// Cover art embedded in an uploaded object; the download stops once the moov box has gone by
+async function s3CoverArt(settings, s3Url) {
+  const { bucket, key } = parseS3Url(s3Url);
+  const cfg = { ...s3Config(settings), bucket };
+  if (!s3Configured(cfg)) throw new Error('S3 is not configured');
+  const res = await fetch(presignUrl(cfg, key, { expiresSec: 600 }));
+  if (!res.ok) throw new Error(`S3 GET failed: HTTP ${res.status}`);
+  const probe = createVideoProbe();
+  const reader = res.body.getReader();
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    probe.push(Buffer.from(value));
+    if (probe.complete) {
+      await reader.cancel();
+      break;
+    }
+  }
+  const cover = probe.finish(size, { partial: true })?.coverArt;
+  if (!cover) throw new Error('no cover art in the file');
+  return cover;
+}
+
+// Thumbnail the platform generated for a published post
+async function platformThumbnail(item, settings) {
+  const id = encodeURIComponent(item.meta.remoteId);
+  if (item.platform === 'instagram') {
+    const token = revealSecret(settings, 'instagramToken') || process.env.INSTAGRAM_TOKEN;
+    if (!token) throw new Error('Instagram is not configured');
+    const media = await fetchJson(`${graphApiBase()}/${id}?fields=thumbnail_url,media_url,media_type&access_token=${encodeURIComponent(token)}`);
+    const url = media.thumbnail_url || (media.media_type === 'IMAGE' ? media.media_url : null);
+    if (!url) throw new Error('Instagram returned no thumbnail');
+    return fetchImage(url);
+  }
+  const token = await youtubeAccessToken(settings);
+  if (!token) throw new Error('YouTube is not configured');
+  const j = await fetchJson(`${youtubeApiBase()}/youtube/v3/videos?part=snippet&id=${id}`, { headers: { Authorization: `Bearer ${token}` } });
+  const thumbs = j.items?.[0]?.snippet?.thumbnails || {};
+  const best = thumbs.maxres || thumbs.high || thumbs.medium || thumbs.default;
+  if (!best?.url) throw new Error('YouTube returned no thumbnail');
+  return fetchImage(best.url);
+}
+
+// Where an item's images can come from, best first: an explicit cover / thumbnail URL, the
+// storage provider's rendered thumbnail, cover art inside the uploaded file, the published post
+function imageSources(item, settings) {
+  const meta = item.meta || {};
+  const source = meta.source || {};
+  const out = [];
+  for (const field of ['coverUrl', 'thumbnailUrl']) {
+    if (isHttp(meta[field])) out.push([field, () => fetchImage(meta[field])]);
+  }
+  if (source.provider === 'dropbox' && source.path) {
+    out.push(['dropbox', () => {
+      const token = revealSecret(settings, 'dropboxToken') || process.env.DROPBOX_TOKEN;
+      if (!token) throw new Error('Dropbox is not configured');
+      return dropboxThumbnail(token, source.path);
+    }]);
+  }
+  if (source.provider === 'gdrive' && source.id) out.push(['gdrive', async () => driveThumbnail(await youtubeAccessToken(settings), source.id)]);
+  if (parseS3Url(item.s3Url)) out.push(['s3', () => s3CoverArt(settings, item.s3Url)]);
+  if (meta.remoteId) out.push([item.platform, () => platformThumbnail(item, settings)]);
+  return out;
+}
+
+export async function hashItem(item, settings) {
+  const errors = [];
+  for (const [source, load] of imageSources(item, settings)) {
+    try {
+      const hashes = await hashImages([await load()]);
+      if (hashes) return { ...hashes, source };
+    } catch (e) {
+      errors.push(`${source}: ${e?.message || e}`);
+    }
+  }
+  return { visualHash: null, errors };
+}
+
+const MISSING = { $or: [{ visualHash: null }, { visualHash: '' }] };
+
+// Hash queue items that have none yet, then give unhashed memos the hashes of the item they
+// were posted from. With dryRun only the counts are returned. Items without a usable image
+// (meta.hashCheckedAt) and memos without a hashed item (hashBackfillAt) are marked and not retried
+// for a day unless `retry` is set.
+export async function backfillHashes(settings, { limit = 50, dryRun = false, retry = false, now = new Date() } = {}) {
+  if (dryRun) {
+    const [items, memos] = await Promise.all([PostQueue.countDocuments(MISSING), PostedMemo.countDocuments(MISSING)]);
+    return { dryRun: true, missing: { items, memos } };
+  }
+  const report = { items: { hashed: 0, failed: 0, noSource: 0 }, memos: { hashed: 0, unmatched: 0 }, details: [] };
+  const notSince = { $not: { $gt: new Date(now.getTime() - 24 * 60 * 60 * 1000) } };
+  const itemFilter = retry ? MISSING : { ...MISSING, 'meta.hashCheckedAt': notSince };
+  const items = await PostQueue.find(itemFilter).sort({ createdAt: -1 }).limit(limit).lean();
+  for (const item of items) {
+    const r = await hashItem(item, settings);
+    if (r.visualHash) {
+      await PostQueue.updateOne({ _id: item._id }, { $set: { visualHash: r.visualHash, frameHashes: r.frameHashes } });
+      report.items.hashed++;
+      report.details.push({ id: item._id, kind: 'item', source: r.source, visualHash: r.visualHash });
+      continue;
+    }
+    await PostQueue.updateOne({ _id: item._id }, { $set: { 'meta.hashCheckedAt': now, 'meta.hashError': r.errors.join('; ') || 'no image source' } });
+    if (r.errors.length) {
+      report.items.failed++;
+      report.details.push({ id: item._id, kind: 'item', errors: r.errors });
+    } else {
+      report.items.noSource++;
+    }
+  }
+  const memos = await PostedMemo.find(retry ? MISSING : { ...MISSING, hashBackfillAt: notSince }).sort({ postedAt: -1 }).limit(limit).lean();
+  for (const memo of memos) {
+    // Older memos have no postId; the posted item is found by platform and post time
+    const from = await PostQueue.findOne(memo.postId ? { _id: memo.postId } : { platform: memo.platform, postedAt: memo.postedAt, status: 'posted' }, { visualHash: 1, frameHashes: 1 }).lean();
+    if (!from?.visualHash) {
+      await PostedMemo.updateOne({ _id: memo._id }, { $set: { hashBackfillAt: now } });
+      report.memos.unmatched++;
+      continue;
+    }
+    await PostedMemo.updateOne({ _id: memo._id }, { $set: { visualHash: from.visualHash, frameHashes: from.frameHashes || [], postId: from._id } });
+    report.memos.hashed++;
+  }
+  if (report.memos.hashed) resetMemoIndex();
+  return report;
+}
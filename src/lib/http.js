@@ -0,0 +1,37 @@
+// Small fetch wrappers shared by the platform clients.
+export class HttpError extends Error {
+  constructor(message, status, body) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+async function readBody(res) {
+  const text = await res.text();
+  try { return text ? JSON.parse(text) : {}; } catch { return { raw: text }; }
+}
+
+export const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+// Without a caller signal every request is bounded by `timeoutMs` (a timeout is an HttpError 504)
+export async function fetchJson(url, { timeoutMs = REQUEST_TIMEOUT_MS, ...opts } = {}) {
+  let res;
+  try {
+    res = await fetch(url, { ...opts, signal: opts.signal || AbortSignal.timeout(timeoutMs) });
+  } catch (e) {
+    if (e?.name === 'TimeoutError' && !opts.signal) throw new HttpError(`Request timed out after ${timeoutMs} ms`, 504);
+    throw e;
+  }
+  const body = await readBody(res);
+  if (!res.ok) {
+    const msg = body?.error?.message || body?.error_description || body?.error_summary || (typeof body?.error === 'string' ? body.error : '') || `HTTP ${res.status}`;
+    throw new HttpError(msg, res.status, body);
+  }
+  return body;
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
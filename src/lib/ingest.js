@@ -0,0 +1,62 @@
+import PostQueue from '../models/PostQueue.js';
+import { normalizeCaption } from './dedupe.js';
+
+export const VIDEO_EXTENSIONS = ['.mp4', '.mov', '.m4v', '.webm'];
+
+export function isVideoFile(name = '', mimeType = '') {
+  if (mimeType) return mimeType.startsWith('video/');
+  const lower = name.toLowerCase();
+  return VIDEO_EXTENSIONS.some(ext => lower.endsWith(ext));
+}
+
+export function captionFromName(name = '') {
+  return name.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Queue source files (one item per platform), skipping non-videos and files whose
+// contentHash is already queued for that platform or was seen earlier in the run.
+// files: [{ id, name, path, size, modifiedAt, contentHash, mimeType, rev, caption? }]
+// resolveMediaUrl(file) is only called for files that will actually be queued; so is the optional
+// hashFile(file) -> { visualHash, frameHashes } | null, whose failures leave the item unhashed.
+export async function ingestFiles(files, { provider, platforms, resolveMediaUrl, hashFile }) {
+  const report = { added: [], duplicates: [], skipped: [] };
+  const created = [];
+  const seen = new Map();
+  for (const f of files) {
+    const entry = { name: f.name, path: f.path || null, id: f.id || null };
+    if (!isVideoFile(f.name, f.mimeType)) { report.skipped.push({ ...entry, reason: 'not_video' }); continue; }
+    if (!f.contentHash) { report.skipped.push({ ...entry, reason: 'no_content_hash' }); continue; }
+    const contentHash = `${provider}:${f.contentHash}`;
+    if (seen.has(contentHash)) { report.duplicates.push({ ...entry, duplicateOf: { name: seen.get(contentHash), source: 'run' } }); continue; }
+    seen.set(contentHash, f.name);
+    const existing = await PostQueue.find({ contentHash, platform: { $in: platforms } }, { platform: 1, status: 1, meta: 1 }).lean();
+    const todo = platforms.filter(p => !existing.some(e => e.platform === p));
+    if (!todo.length) {
+      const first = existing[0];
+      report.duplicates.push({ ...entry, duplicateOf: { id: first._id, source: 'queue', status: first.status, name: first.meta?.source?.name || null } });
+      continue;
+    }
+    let mediaUrl;
+    try {
+      mediaUrl = await resolveMediaUrl(f);
+    } catch (e) {
+      report.skipped.push({ ...entry, reason: 'no_media_url', error: String(e?.message || e) });
+      continue;
+    }
+    let hashes = null;
+    let hashError = null;
+    try {
+      hashes = hashFile ? await hashFile(f) : null;
+    } catch (e) {
+      hashError = String(e?.message || e);
+    }
+    const caption = (f.caption || '').trim() || captionFromName(f.name);
+    const source = { provider, id: f.id || null, path: f.path || null, name: f.name, size: f.size ?? null, modifiedAt: f.modifiedAt || null, rev: f.rev || null };
+    for (const platform of todo) {
+      const doc = await PostQueue.create({ platform, caption, captionNorm: normalizeCaption(caption), status: 'queued', sourceUrl: mediaUrl, contentHash, ...hashes, engagement: { likes: 0, comments: 0, views: 0 }, meta: { source } });
+      created.push(doc);
+      report.added.push({ ...entry, itemId: doc._id, platform, hashed: !!hashes, ...(hashError ? { hashError } : {}) });
+    }
+  }
+  return { report, created };
+}
@@ -0,0 +1,143 @@
+import PostQueue from '../models/PostQueue.js';
+import SyncState from '../models/SyncState.js';
+import { graphApiBase } from './apiBase.js';
+import { fetchJson, HttpError } from './http.js';
+import { revealSecret } from './credentials.js';
+import { normalizeCaption } from './dedupe.js';
+import { fetchImage, hashImages } from './visualHash.js';
+
+// Our own Instagram media, paged through the Graph API, become repost candidates
+// (one PostQueue item per target platform, keyed by contentHash 'instagram:<media id>').
+const MEDIA_FIELDS = 'id,caption,media_type,media_product_type,media_url,thumbnail_url,permalink,timestamp,like_count,comments_count';
+const PAGE_SIZE = 50;
+
+const credentials = (settings) => ({
+  token: revealSecret(settings, 'instagramToken') || process.env.INSTAGRAM_TOKEN,
+  igId: settings.igBusinessId || process.env.IG_BUSINESS_ID
+});
+
+export function instagramConfigured(settings) {
+  const { token, igId } = credentials(settings);
+  return !!(token && igId);
+}
+
+function igAuth(settings) {
+  const { token, igId } = credentials(settings);
+  if (!token || !igId) throw new Error('Instagram is not configured (instagramToken, igBusinessId)');
+  return { token, igId };
+}
+
+const viewsOf = (m) => {
+  const v = m.insights?.data?.find(d => d.name === 'views')?.values?.[0]?.value;
+  return Number.isFinite(Number(v)) ? Number(v) : null;
+};
+
+// Newest-first media up to `limit`, following paging.next. View counts come from the media
+// insights; accounts without insights permission get the listing without them.
+export async function listInstagramMedia(settings, { limit = 500 } = {}) {
+  const { token, igId } = igAuth(settings);
+  const media = [];
+  let withInsights = true;
+  let pages = 0;
+  const first = (fields) => `${graphApiBase()}/${encodeURIComponent(igId)}/media?fields=${encodeURIComponent(fields)}&limit=${Math.min(PAGE_SIZE, limit)}&access_token=${encodeURIComponent(token)}`;
+  let url = first(`${MEDIA_FIELDS},insights.metric(views)`);
+  while (url && media.length < limit) {
+    let page;
+    try {
+      page = await fetchJson(url);
+    } catch (e) {
+      if (!(withInsights && pages === 0 && e instanceof HttpError && e.status === 400)) throw e;
+      withInsights = false;
+      url = first(MEDIA_FIELDS);
+      continue;
+    }
+    pages++;
+    media.push(...(page.data || []));
+    url = page.paging?.next || null;
+  }
+  return { media: media.slice(0, limit), pages, withInsights };
+}
+
+// Captions for specific media ids ('' where Instagram has none or the id is unknown). The
+// multi-id lookup fails as a whole on one bad id, so a failed chunk is retried id by id.
+export async function instagramCaptions(settings, ids) {
+  const { token } = igAuth(settings);
+  const auth = `fields=caption&access_token=${encodeURIComponent(token)}`;
+  const out = Object.fromEntries(ids.map(id => [id, '']));
+  for (let i = 0; i < ids.length; i += 50) {
+    const chunk = ids.slice(i, i + 50);
+    try {
+      const j = await fetchJson(`${graphApiBase()}/?ids=${chunk.map(encodeURIComponent).join(',')}&${auth}`);
+      for (const [id, m] of Object.entries(j || {})) if (id in out) out[id] = m?.caption || '';
+    } catch (e) {
+      if (!(e instanceof HttpError && e.status === 400)) throw e;
+      for (const id of chunk) {
+        out[id] = (await fetchJson(`${graphApiBase()}/${encodeURIComponent(id)}?${auth}`).catch(() => null))?.caption || '';
+      }
+    }
+  }
+  return out;
+}
+
+const REFRESHABLE = ['queued', 'scheduled', 'failed'];
+const isVideo = (m) => m.media_type === 'VIDEO' || m.media_product_type === 'REELS';
+
+// One harvest run: new videos are queued for each platform, known ones get fresh engagement,
+// caption and media URL (Instagram's CDN URLs expire). Returns counts plus per-media details.
+export async function harvestInstagram(settings, { platforms, limit = settings.scrapeLimit || 500, now = new Date() }) {
+  const started = Date.now();
+  const { igId } = igAuth(settings);
+  const listing = await listInstagramMedia(settings, { limit });
+  const report = { added: [], refreshed: [], skipped: [] };
+  const created = [];
+  for (const m of listing.media) {
+    const entry = { id: m.id, permalink: m.permalink || null };
+    if (!isVideo(m)) { report.skipped.push({ ...entry, reason: 'not_video', mediaType: m.media_type }); continue; }
+    if (!m.media_url) { report.skipped.push({ ...entry, reason: 'no_media_url' }); continue; }
+    const contentHash = `instagram:${m.id}`;
+    const caption = m.caption || '';
+    const engagement = { likes: Number(m.like_count) || 0, comments: Number(m.comments_count) || 0, views: viewsOf(m) };
+    const source = { provider: 'instagram', id: m.id, permalink: m.permalink || null, postedAt: m.timestamp ? new Date(m.timestamp) : null, mediaType: m.media_type, refreshedAt: now };
+    const existing = await PostQueue.find({ contentHash, platform: { $in: platforms } }, { platform: 1, status: 1, engagement: 1, originalCaption: 1 }).lean();
+    for (const item of existing) {
+      // Posted (or skipped) items are history and stay as they were. Scheduled and failed items still
+      // need a live media URL; only queued ones take the new caption and engagement.
+      if (!REFRESHABLE.includes(item.status)) continue;
+      const update = { sourceUrl: m.media_url, 'meta.source': source, 'meta.thumbnailUrl': m.thumbnail_url || null };
+      if (item.status === 'queued') {
+        Object.assign(update, {
+          engagement: { ...engagement, views: engagement.views ?? item.engagement?.views ?? 0 },
+          // an item with a generated caption keeps it; only its source caption follows Instagram
+          [item.originalCaption != null ? 'originalCaption' : 'caption']: caption, captionNorm: normalizeCaption(caption)
+        });
+      }
+      const r = await PostQueue.updateOne({ _id: item._id, status: item.status }, { $set: update });
+      if (r.matchedCount) report.refreshed.push({ ...entry, itemId: item._id, platform: item.platform, status: item.status });
+    }
+    const todo = platforms.filter(p => !existing.some(e => e.platform === p));
+    if (!todo.length) continue;
+    let hashes = null;
+    try {
+      hashes = m.thumbnail_url ? await hashImages([await fetchImage(m.thumbnail_url)]) : null;
+    } catch {
+      // left for the hash backfill (meta.thumbnailUrl)
+    }
+    for (const platform of todo) {
+      const doc = await PostQueue.create({
+        platform, caption, captionNorm: normalizeCaption(caption), status: 'queued', sourceUrl: m.media_url, contentHash,
+        engagement: { ...engagement, views: engagement.views ?? 0 }, ...hashes,
+        meta: { source, originalPostedAt: source.postedAt, thumbnailUrl: m.thumbnail_url || null }
+      });
+      created.push(doc);
+      report.added.push({ ...entry, itemId: doc._id, platform, hashed: !!hashes });
+    }
+  }
+  const summary = {
+    provider: 'instagram', account: igId, ranAt: now, durationMs: Date.now() - started, pages: listing.pages, limit,
+    withInsights: listing.withInsights, checked: listing.media.length,
+    added: report.added.length, refreshed: report.refreshed.length, skipped: report.skipped.length, details: report
+  };
+  const stored = { ...summary, details: Object.fromEntries(Object.entries(report).map(([k, v]) => [k, v.slice(0, 200)])) };
+  await SyncState.updateOne({ key: `instagram:${igId}` }, { $set: { provider: 'instagram', lastRunAt: now, lastReport: stored } }, { upsert: true });
+  return { summary, created };
+}
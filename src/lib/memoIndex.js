@@ -0,0 +1,134 @@
+// In-memory index over posted memos so duplicate lookups don't scan the whole window:
+//   visual  - BK-tree per platform keyed by visual hashes (Hamming metric); a memo with several
+//             frame hashes is entered once per hash
+//   caption - inverted token index with term counts; cosine similarity is accumulated over
+//             the postings so only memos at or above the caption threshold become candidates
+//   audio   - audioKey -> memos
+// Memos are kept per platform in postedAt order so last-N / last-days windows resolve to a cutoff time.
+export class BKTree {
+  constructor(distance) {
+    this.distance = distance;
+    this.root = null;
+    this.size = 0;
+  }
+
+  add(key, value) {
+    this.size++;
+    if (!this.root) { this.root = { key, values: [value], children: new Map() }; return; }
+    let node = this.root;
+    for (;;) {
+      const d = this.distance(key, node.key);
+      if (d === 0) { node.values.push(value); return; }
+      const child = node.children.get(d);
+      if (!child) { node.children.set(d, { key, values: [value], children: new Map() }); return; }
+      node = child;
+    }
+  }
+
+  search(key, maxDist) {
+    const out = [];
+    const stack = this.root ? [this.root] : [];
+    while (stack.length) {
+      const node = stack.pop();
+      const d = this.distance(key, node.key);
+      if (d <= maxDist) for (const value of node.values) out.push({ value, distance: d });
+      for (const [cd, child] of node.children) {
+        if (cd >= d - maxDist && cd <= d + maxDist) stack.push(child);
+      }
+    }
+    return out;
+  }
+}
+
+const time = (m) => new Date(m.postedAt).getTime();
+
+// distance: Hamming on hex strings; tokenize: caption -> token list; hashesOf: memo -> valid hashes
+export function createMemoIndex({ distance, tokenize, hashesOf = (m) => (m.visualHash ? [m.visualHash] : []) }) {
+  const platforms = new Map();
+
+  function termVector(text) {
+    const tf = new Map();
+    for (const t of tokenize(text)) tf.set(t, (tf.get(t) || 0) + 1);
+    let sq = 0;
+    for (const c of tf.values()) sq += c * c;
+    return { tf, norm: Math.sqrt(sq) };
+  }
+
+  function bucket(platform) {
+    if (!platforms.has(platform)) {
+      platforms.set(platform, { memos: [], tree: new BKTree(distance), tokens: new Map(), audio: new Map() });
+    }
+    return platforms.get(platform);
+  }
+
+  function add(memo) {
+    const b = bucket(memo.platform);
+    // memos normally arrive newest-last; keep ascending postedAt order either way
+    let i = b.memos.length;
+    while (i > 0 && time(b.memos[i - 1]) > time(memo)) i--;
+    b.memos.splice(i, 0, memo);
+    for (const h of hashesOf(memo)) b.tree.add(h, memo);
+    const { tf, norm } = termVector(memo.captionNorm || '');
+    for (const [t, count] of tf) {
+      if (!b.tokens.has(t)) b.tokens.set(t, []);
+      b.tokens.get(t).push({ memo, count, norm });
+    }
+    if (memo.audioKey) {
+      if (!b.audio.has(memo.audioKey)) b.audio.set(memo.audioKey, []);
+      b.audio.get(memo.audioKey).push(memo);
+    }
+  }
+
+  // Earliest postedAt inside the window for these platforms
+  function cutoff(platformList, { windowType, windowN, windowDays }, now = Date.now()) {
+    if (windowType === 'days') return now - windowDays * 24 * 60 * 60 * 1000;
+    const times = [];
+    for (const p of platformList) {
+      const memos = platforms.get(p)?.memos || [];
+      for (let i = Math.max(0, memos.length - windowN); i < memos.length; i++) times.push(time(memos[i]));
+    }
+    if (times.length <= windowN) return -Infinity;
+    times.sort((a, b) => b - a);
+    return times[windowN - 1];
+  }
+
+  // Memos in the window that could fire any rule for this candidate (superset; rules decide)
+  function candidates(candidate, config, captionNorm) {
+    const list = config.crossPlatform ? [...platforms.keys()] : [candidate.platform];
+    const since = cutoff(list, config);
+    const seen = new Set();
+    const out = [];
+    const push = (m) => { if (!seen.has(m) && time(m) >= since) { seen.add(m); out.push(m); } };
+    for (const p of list) {
+      const b = platforms.get(p);
+      if (!b) continue;
+      for (const h of hashesOf(candidate)) {
+        for (const { value } of b.tree.search(h, config.thresholds.visualHamming)) push(value);
+      }
+      const minSim = Math.min(config.thresholds.captionSim, config.thresholds.captionDurationSim) - 1e-9;
+      const { tf, norm } = termVector(captionNorm);
+      const dots = new Map();
+      for (const [t, count] of tf) {
+        for (const p of b.tokens.get(t) || []) {
+          const cur = dots.get(p.memo);
+          dots.set(p.memo, { dot: (cur?.dot || 0) + count * p.count, norm: p.norm });
+        }
+      }
+      for (const [m, d] of dots) {
+        if (norm > 0 && d.norm > 0 && d.dot / (norm * d.norm) >= minSim) push(m);
+      }
+      if (config.audioMatch && candidate.audioKey) {
+        for (const m of b.audio.get(candidate.audioKey) || []) push(m);
+      }
+    }
+    return out.sort((a, b) => time(b) - time(a));
+  }
+
+  function size() {
+    let n = 0;
+    for (const b of platforms.values()) n += b.memos.length;
+    return n;
+  }
+
+  return { add, candidates, cutoff, size };
+}
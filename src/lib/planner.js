@@ -0,0 +1,126 @@
+import { zonedParts, zonedTimeToUtc, addZonedDays, parseHHmm } from './time.js';
+
+// Slot planner: turns settings (postTime, peakHours, caps, min gap) into concrete
+// per-platform posting times over the coming days, then assigns candidates to them.
+export const DEFAULT_PEAK_HOURS = {
+  instagram: [11, 13, 17, 19, 21],
+  youtube: [12, 15, 18, 20]
+};
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+
+export function candidateScore(c) {
+  const e = c.engagement || {};
+  return (Number(e.likes) || 0) + 3 * (Number(e.comments) || 0) + (Number(e.views) || 0) / 100;
+}
+
+// preferredHours[platform] is a ranked hour list, or { weekday: [hours] } (0 = Sunday)
+function peakHoursFor(platform, weekday, preferredHours) {
+  const pref = preferredHours[platform];
+  const hours = Array.isArray(pref) ? pref : pref?.[weekday];
+  return hours?.length ? hours : (DEFAULT_PEAK_HOURS[platform] || []);
+}
+
+// Ranked wall-clock times for one day: postTime first, then peak hours, then fill at min-gap spacing
+function dayTimes(platform, weekday, settings, preferredHours, gapMin) {
+  const base = parseHHmm(settings.postTime) || { hour: 14, minute: 0 };
+  const times = [base];
+  if (settings.peakHours !== false) {
+    for (const h of peakHoursFor(platform, weekday, preferredHours)) times.push({ hour: h, minute: base.minute });
+  }
+  const step = Math.max(15, gapMin);
+  for (let m = base.hour * 60 + base.minute + step; m < 24 * 60; m += step) {
+    times.push({ hour: Math.floor(m / 60), minute: m % 60 });
+  }
+  const seen = new Set();
+  return times.filter(t => {
+    const k = t.hour * 60 + t.minute;
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+// occupied: [{ platform, at }] already scheduled, posting or posted
+// preferredHours: { platform: [hour, ...] | { weekday: [hour, ...] } } ranked best first (e.g. from the heatmap)
+export function buildSlots({ settings, timeZone, now = new Date(), days = 3, platforms = ['instagram', 'youtube'], occupied = [], preferredHours = {}, leadMinutes = 2 }) {
+  const gapMin = Math.max(0, Number(settings.minPostGapMinutes ?? 60));
+  const hourlyLimit = Number(settings.hourlyLimit);
+  const dailyLimit = Number(settings.dailyLimit);
+  const today = zonedParts(now, timeZone);
+  const earliest = now.getTime() + leadMinutes * MIN;
+  const slots = [];
+
+  for (const platform of platforms) {
+    const taken = occupied.filter(o => o.platform === platform).map(o => new Date(o.at).getTime());
+    for (let d = 0; d < days; d++) {
+      const day = addZonedDays(today, d);
+      const weekday = new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay();
+      const times = dayTimes(platform, weekday, settings, preferredHours, gapMin);
+      const dayStart = zonedTimeToUtc(day, timeZone).getTime();
+      const dayEnd = zonedTimeToUtc(addZonedDays(day, 1), timeZone).getTime();
+      let budget = Number.isFinite(dailyLimit) ? dailyLimit - taken.filter(t => t >= dayStart && t < dayEnd).length : Infinity;
+      times.forEach((t, rank) => {
+        if (budget <= 0) return;
+        const at = zonedTimeToUtc({ ...day, ...t }, timeZone).getTime();
+        if (at < earliest || at < dayStart || at >= dayEnd) return;
+        if (taken.some(x => Math.abs(x - at) < gapMin * MIN)) return;
+        if (Number.isFinite(hourlyLimit) && taken.filter(x => Math.abs(x - at) < HOUR).length >= hourlyLimit) return;
+        taken.push(at);
+        slots.push({ platform, at: new Date(at), day: d, rank });
+        budget--;
+      });
+    }
+  }
+  return slots.sort((a, b) => a.at - b.at);
+}
+
+// Earliest time (ms) a candidate may go out: reposts of a source post (meta.originalPostedAt)
+// wait repostDelayDays after it. 0 when the candidate is not a repost.
+export function repostReadyAt(candidate, repostDelayDays = 0) {
+  const origin = candidate.meta?.originalPostedAt ? new Date(candidate.meta.originalPostedAt).getTime() : null;
+  return origin === null ? 0 : origin + Math.max(0, Number(repostDelayDays) || 0) * 24 * HOUR;
+}
+
+// Best candidates go to the best-ranked slots of each day, earliest day first. A slot only takes
+// a candidate whose repost delay has run out by the slot's time.
+export function assignCandidates(slots, candidates, { repostDelayDays = 0 } = {}) {
+  const pools = {};
+  for (const c of candidates) (pools[c.platform] ||= []).push(c);
+  // pinned items take the first slots they are ready for
+  for (const list of Object.values(pools)) list.sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || candidateScore(b) - candidateScore(a));
+
+  const ordered = [...slots].sort((a, b) => a.day - b.day || a.rank - b.rank || a.at - b.at);
+  const assignments = [];
+  const unfilled = [];
+  for (const slot of ordered) {
+    const list = pools[slot.platform] || [];
+    const i = list.findIndex(c => repostReadyAt(c, repostDelayDays) <= new Date(slot.at).getTime());
+    if (i !== -1) {
+      const [c] = list.splice(i, 1);
+      assignments.push({ slot, candidate: c, score: candidateScore(c) });
+    } else unfilled.push(slot);
+  }
+  assignments.sort((a, b) => a.slot.at - b.slot.at);
+  return { assignments, unfilled };
+}
+
+// Cap and spacing rules a manually chosen time breaks (empty when the slot is fine).
+// occupied should already exclude the item being placed.
+export function slotViolations({ settings, timeZone, platform, at, occupied = [] }) {
+  const t = new Date(at).getTime();
+  const gapMin = Math.max(0, Number(settings.minPostGapMinutes ?? 60));
+  const dayParts = zonedParts(new Date(t), timeZone);
+  const day = { year: dayParts.year, month: dayParts.month, day: dayParts.day };
+  const dayStart = zonedTimeToUtc(day, timeZone).getTime();
+  const dayEnd = zonedTimeToUtc(addZonedDays(day, 1), timeZone).getTime();
+  const times = occupied.filter(o => o.platform === platform).map(o => new Date(o.at).getTime());
+  const out = [];
+  const dailyLimit = Number(settings.dailyLimit);
+  const hourlyLimit = Number(settings.hourlyLimit);
+  if (Number.isFinite(dailyLimit) && times.filter(x => x >= dayStart && x < dayEnd).length >= dailyLimit) out.push('daily_cap');
+  if (Number.isFinite(hourlyLimit) && times.filter(x => Math.abs(x - t) < HOUR).length >= hourlyLimit) out.push('hourly_cap');
+  if (gapMin > 0 && times.some(x => Math.abs(x - t) < gapMin * MIN)) out.push('min_gap');
+  return out;
+}
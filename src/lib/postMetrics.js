@@ -0,0 +1,59 @@
+import { graphApiBase, youtubeApiBase } from './apiBase.js';
+import { fetchJson, HttpError } from './http.js';
+import { revealSecret } from './credentials.js';
+
+// Checkpoints after publishing at which a post's metrics are collected. A checkpoint more than
+// graceMs overdue (tracker down, post found late) is skipped rather than filled with later numbers.
+export const CHECKPOINTS = [
+  { name: '1h', afterMs: 60 * 60 * 1000, graceMs: 3 * 60 * 60 * 1000 },
+  { name: '24h', afterMs: 24 * 60 * 60 * 1000, graceMs: 12 * 60 * 60 * 1000 },
+  { name: '7d', afterMs: 7 * 24 * 60 * 60 * 1000, graceMs: 2 * 24 * 60 * 60 * 1000 }
+];
+
+const num = (v) => (v === undefined || v === null || Number.isNaN(Number(v)) ? null : Number(v));
+
+async function instagramMetrics(remoteId, settings) {
+  const token = revealSecret(settings, 'instagramToken');
+  if (!token) throw new Error('Instagram credentials missing (instagramToken)');
+  const base = `${graphApiBase()}/${encodeURIComponent(remoteId)}`;
+  const auth = `access_token=${encodeURIComponent(token)}`;
+  const j = await fetchJson(`${base}?fields=like_count,comments_count&${auth}`);
+  const out = { likes: num(j.like_count), comments: num(j.comments_count), views: null, reach: null };
+  try {
+    const ins = await fetchJson(`${base}/insights?metric=reach,views&${auth}`);
+    for (const m of ins?.data || []) {
+      const v = num(m.values?.[0]?.value ?? m.total_value?.value);
+      if (m.name === 'reach') out.reach = v;
+      if (m.name === 'views') out.views = v;
+    }
+  } catch { /* insights need extra permissions */ }
+  return out;
+}
+
+async function youtubeMetrics(remoteId, settings, { accessToken, apiKey } = {}) {
+  const token = accessToken || revealSecret(settings, 'youtubeAccessToken');
+  let url = `${youtubeApiBase()}/youtube/v3/videos?part=statistics&id=${encodeURIComponent(remoteId)}`;
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  else if (apiKey) url += `&key=${encodeURIComponent(apiKey)}`;
+  else throw new Error('YouTube credentials missing (youtubeAccessToken)');
+  const j = await fetchJson(url, { headers });
+  const stats = j?.items?.[0]?.statistics;
+  // deleted or private: same as an Instagram 404
+  if (!stats) throw new HttpError(`YouTube video ${remoteId} not found`, 404);
+  return { likes: num(stats.likeCount), comments: num(stats.commentCount), views: num(stats.viewCount), reach: null };
+}
+
+export async function fetchPostMetrics(item, settings, opts = {}) {
+  const remoteId = item.meta?.remoteId;
+  if (!remoteId) throw new Error('Item has no remote media id');
+  if (item.platform === 'instagram') return instagramMetrics(remoteId, settings);
+  if (item.platform === 'youtube') return youtubeMetrics(remoteId, settings, opts);
+  throw new Error(`No metrics source for platform ${item.platform}`);
+}
+
+// Lift of a repost's measured performance over the source engagement it was picked on
+export function liftPct(actualScore, originalScore) {
+  if (!(originalScore > 0)) return null;
+  return Math.round(((actualScore - originalScore) / originalScore) * 10000) / 100;
+}
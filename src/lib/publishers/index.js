@@ -0,0 +1,33 @@
+import { publishInstagram, PUBLISH_TIMEOUT_MS as IG_PUBLISH_TIMEOUT_MS } from './instagram.js';
+import { publishYouTube, UPLOAD_TIMEOUT_MS as YOUTUBE_UPLOAD_TIMEOUT_MS } from './youtube.js';
+import { REQUEST_TIMEOUT_MS } from '../http.js';
+import { s3Config, s3Configured, parseS3Url, presignUrl } from '../s3.js';
+
+const publishers = {
+  instagram: publishInstagram,
+  youtube: publishYouTube
+};
+
+// URL the platform should fetch the video from. Uploaded s3:// objects get a presigned GET
+// URL, long enough for Instagram's container processing and YouTube's fetch.
+export function mediaUrlFor(item, settings = {}, { expiresSec = 6 * 3600 } = {}) {
+  const s3 = parseS3Url(item.s3Url);
+  if (!item.meta?.mediaUrl && s3) {
+    const cfg = { ...s3Config(settings), bucket: s3.bucket };
+    if (s3Configured(cfg)) return presignUrl(cfg, s3.key, { expiresSec });
+  }
+  const candidates = [item.meta?.mediaUrl, item.s3Url, item.sourceUrl];
+  return candidates.find(u => typeof u === 'string' && /^https?:\/\//.test(u)) || null;
+}
+
+// Longest one publish call can run: its deadline plus the requests around it (token refresh,
+// session init or media_publish, permalink read)
+export function maxPublishMs() {
+  return Math.max(IG_PUBLISH_TIMEOUT_MS(), YOUTUBE_UPLOAD_TIMEOUT_MS()) + 3 * REQUEST_TIMEOUT_MS;
+}
+
+export async function publish(item, settings, opts = {}) {
+  const fn = publishers[item.platform];
+  if (!fn) throw new Error(`No publisher for platform ${item.platform}`);
+  return fn(item, settings, { mediaUrl: mediaUrlFor(item, settings), ...opts });
+}
@@ -0,0 +1,59 @@
+import { graphApiBase } from '../apiBase.js';
+import { fetchJson, sleep, REQUEST_TIMEOUT_MS } from '../http.js';
+import { revealSecret } from '../credentials.js';
+
+// Instagram Graph content publishing: create a REELS container, poll until the
+// video is processed, then publish it and read back the permalink.
+const POLL_MS = () => Number(process.env.IG_CONTAINER_POLL_MS || 5000);
+const POLL_MAX = () => Number(process.env.IG_CONTAINER_POLL_MAX || 60);
+// Deadline for container create + polling; media_publish and the permalink read get the plain request timeout
+export const PUBLISH_TIMEOUT_MS = () => Number(process.env.IG_PUBLISH_TIMEOUT_MS || 10 * 60 * 1000);
+
+function form(params) {
+  return { method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, body: new URLSearchParams(params).toString() };
+}
+
+export async function publishInstagram(item, settings, { mediaUrl } = {}) {
+  const token = revealSecret(settings, 'instagramToken');
+  const igId = settings.igBusinessId;
+  if (!token || !igId) throw new Error('Instagram credentials missing (instagramToken / igBusinessId)');
+  if (!mediaUrl) throw new Error('No public media URL for Instagram container');
+  const base = graphApiBase();
+  const deadline = Date.now() + PUBLISH_TIMEOUT_MS();
+  const beforeDeadline = (url, opts) => {
+    const left = deadline - Date.now();
+    if (left <= 0) throw new Error('Instagram container not ready before the publish timeout');
+    return fetchJson(url, { ...opts, timeoutMs: Math.min(REQUEST_TIMEOUT_MS, left) });
+  };
+
+  const container = await beforeDeadline(`${base}/${encodeURIComponent(igId)}/media`, form({
+    media_type: 'REELS',
+    video_url: mediaUrl,
+    caption: item.caption || '',
+    access_token: token
+  }));
+  const creationId = container?.id;
+  if (!creationId) throw new Error('Instagram container create returned no id');
+
+  let status = '';
+  for (let i = 0; i < POLL_MAX(); i++) {
+    const j = await beforeDeadline(`${base}/${encodeURIComponent(creationId)}?fields=status_code,status&access_token=${encodeURIComponent(token)}`);
+    status = j?.status_code || '';
+    if (status === 'FINISHED') break;
+    if (status === 'ERROR' || status === 'EXPIRED') throw new Error(`Instagram container ${status.toLowerCase()}: ${j?.status || 'unknown'}`);
+    await sleep(Math.min(POLL_MS(), Math.max(0, deadline - Date.now())));
+  }
+  if (status !== 'FINISHED') throw new Error('Instagram container not ready before poll limit');
+
+  const published = await fetchJson(`${base}/${encodeURIComponent(igId)}/media_publish`, form({ creation_id: creationId, access_token: token }));
+  const mediaId = published?.id;
+  if (!mediaId) throw new Error('Instagram media_publish returned no id');
+
+  let permalink = null;
+  try {
+    const j = await fetchJson(`${base}/${encodeURIComponent(mediaId)}?fields=permalink&access_token=${encodeURIComponent(token)}`);
+    permalink = j?.permalink || null;
+  } catch { /* published already; permalink is best-effort */ }
+
+  return { remoteId: String(mediaId), permalink, containerId: String(creationId) };
+}
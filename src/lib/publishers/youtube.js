@@ -0,0 +1,98 @@
+import { youtubeUploadBase } from '../apiBase.js';
+import { HttpError, REQUEST_TIMEOUT_MS } from '../http.js';
+import { revealSecret } from '../credentials.js';
+
+// YouTube Data API resumable upload: open a session with the video metadata, then stream the
+// source body to the session URL returned in the Location header. Nothing is buffered whole: with
+// a known length the body is piped in one PUT, otherwise it goes up in CHUNK_BYTES pieces.
+export const UPLOAD_TIMEOUT_MS = () => Number(process.env.YOUTUBE_UPLOAD_TIMEOUT_MS || 30 * 60 * 1000);
+// resumable chunks must be multiples of 256 KiB
+const CHUNK_BYTES = 32 * 256 * 1024;
+
+async function openMedia(mediaUrl, signal) {
+  const res = await fetch(mediaUrl, { signal });
+  if (!res.ok) throw new HttpError(`Media fetch failed: HTTP ${res.status}`, res.status);
+  if (!res.body) throw new Error('Media fetch returned no body');
+  const length = Number(res.headers.get('content-length'));
+  return { body: res.body, length: Number.isFinite(length) && length > 0 ? length : null, contentType: res.headers.get('content-type') || 'video/mp4' };
+}
+
+async function readUploadResult(res) {
+  const text = await res.text();
+  let body;
+  try { body = text ? JSON.parse(text) : {}; } catch { body = { raw: text }; }
+  if (!res.ok) throw new HttpError(body?.error?.message || `YouTube upload failed: HTTP ${res.status}`, res.status, body);
+  return body;
+}
+
+// Unknown length: fixed-size chunks with Content-Range; YouTube answers 308 until the last one
+async function uploadChunked(sessionUrl, token, { body, contentType }, signal) {
+  const reader = body.getReader();
+  let pending = Buffer.alloc(0);
+  let offset = 0;
+  let done = false;
+  while (!done) {
+    while (pending.length < CHUNK_BYTES && !done) {
+      const r = await reader.read();
+      if (r.done) done = true;
+      else pending = Buffer.concat([pending, Buffer.from(r.value)]);
+    }
+    const chunk = done ? pending : pending.subarray(0, CHUNK_BYTES);
+    pending = done ? Buffer.alloc(0) : pending.subarray(CHUNK_BYTES);
+    const end = offset + chunk.length;
+    const range = chunk.length ? `bytes ${offset}-${end - 1}/${done ? end : '*'}` : `bytes */${end}`;
+    const res = await fetch(sessionUrl, { method: 'PUT', headers: { Authorization: `Bearer ${token}`, 'Content-Type': contentType, 'Content-Range': range }, body: chunk, signal });
+    if (!done) {
+      if (res.status !== 308) throw new HttpError(`YouTube chunk upload failed: HTTP ${res.status}`, res.status, await res.text());
+      await res.arrayBuffer();
+      offset = end;
+      continue;
+    }
+    return readUploadResult(res);
+  }
+}
+
+export async function publishYouTube(item, settings, { mediaUrl, accessToken } = {}) {
+  const token = accessToken || revealSecret(settings, 'youtubeAccessToken');
+  if (!token) throw new Error('YouTube credentials missing (youtubeAccessToken)');
+  if (!mediaUrl) throw new Error('No media URL for YouTube upload');
+
+  const signal = AbortSignal.timeout(UPLOAD_TIMEOUT_MS());
+  const media = await openMedia(mediaUrl, signal);
+  const caption = item.caption || '';
+  const title = (caption.split('\n')[0] || 'Untitled').slice(0, 100);
+  const metadata = {
+    snippet: { title, description: caption, categoryId: '22' },
+    status: { privacyStatus: 'public', selfDeclaredMadeForKids: false }
+  };
+
+  const init = await fetch(`${youtubeUploadBase()}/upload/youtube/v3/videos?uploadType=resumable&part=snippet,status`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json; charset=UTF-8',
+      'X-Upload-Content-Type': media.contentType,
+      ...(media.length ? { 'X-Upload-Content-Length': String(media.length) } : {})
+    },
+    body: JSON.stringify(metadata),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  const sessionUrl = init.headers.get('location');
+  if (!init.ok || !sessionUrl) {
+    await media.body.cancel().catch(() => {});
+    if (!init.ok) throw new HttpError(`YouTube upload session failed: HTTP ${init.status}`, init.status, await init.text());
+    throw new Error('YouTube upload session returned no Location');
+  }
+
+  const video = media.length
+    ? await readUploadResult(await fetch(sessionUrl, {
+      method: 'PUT',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': media.contentType, 'Content-Length': String(media.length) },
+      body: media.body,
+      duplex: 'half',
+      signal
+    }))
+    : await uploadChunked(sessionUrl, token, media, signal);
+  if (!video?.id) throw new Error('YouTube upload returned no video id');
+  return { remoteId: String(video.id), permalink: `https://www.youtube.com/shorts/${video.id}` };
+}
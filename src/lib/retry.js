@@ -0,0 +1,14 @@
+// Exponential backoff for failed publish attempts.
+const MAX_BACKOFF_MS = 24 * 60 * 60 * 1000;
+
+export function backoffDelayMs(attempt, baseMinutes = 5) {
+  const base = Math.max(1, Number(baseMinutes) || 5) * 60 * 1000;
+  return Math.min(base * 2 ** Math.max(0, attempt - 1), MAX_BACKOFF_MS);
+}
+
+// attempts is the count *including* the attempt that just failed
+export function retryDecision(attempts, settings, now = Date.now()) {
+  const maxAttempts = Math.max(1, Number(settings?.maxPostAttempts) || 3);
+  if (attempts >= maxAttempts) return { retry: false, maxAttempts };
+  return { retry: true, maxAttempts, nextAt: new Date(now + backoffDelayMs(attempts, settings?.retryBackoffMinutes)) };
+}
@@ -0,0 +1,228 @@
+import crypto from 'node:crypto';
+import { HttpError } from './http.js';
+import { revealSecret } from './credentials.js';
+
+// Minimal S3 client (SigV4, multipart upload, presigned URLs) for AWS S3 and S3-compatible
+// stores such as MinIO. S3_ENDPOINT switches to path-style addressing on that endpoint.
+const MB = 1024 * 1024;
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+
+export const VIDEO_TYPES = ['video/mp4', 'video/quicktime', 'video/x-m4v', 'video/webm'];
+
+export function s3Config(settings = {}) {
+  const endpoint = (process.env.S3_ENDPOINT || '').replace(/\/+$/, '');
+  return {
+    accessKey: revealSecret(settings, 's3AccessKey') || process.env.S3_ACCESS_KEY || '',
+    secretKey: revealSecret(settings, 's3SecretKey') || process.env.S3_SECRET_KEY || '',
+    bucket: settings.s3BucketName || process.env.S3_BUCKET_NAME || '',
+    region: settings.s3Region || process.env.S3_REGION || 'us-east-1',
+    endpoint,
+    pathStyle: !!endpoint || process.env.S3_FORCE_PATH_STYLE === 'true',
+    partSize: Math.max(5, Number(process.env.S3_PART_SIZE_MB) || 8) * MB
+  };
+}
+
+export function s3Configured(cfg) {
+  return !!(cfg.accessKey && cfg.secretKey && cfg.bucket);
+}
+
+const sha256 = (data, enc = 'hex') => crypto.createHash('sha256').update(data).digest(enc);
+const hmac = (key, data, enc) => crypto.createHmac('sha256', key).update(data).digest(enc);
+// RFC 3986 encoding as SigV4 expects; '/' is kept in object key paths
+const encode = (s) => encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+const encodeKey = (key) => key.split('/').map(encode).join('/');
+
+export function objectUrl(cfg, key = '') {
+  const path = key ? `/${encodeKey(key)}` : '';
+  if (cfg.pathStyle) return new URL(`${cfg.endpoint || `https://s3.${cfg.region}.amazonaws.com`}/${cfg.bucket}${path}`);
+  return new URL(`https://${cfg.bucket}.s3.${cfg.region}.amazonaws.com${path || '/'}`);
+}
+
+function amzDate(now) {
+  const iso = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return { stamp: iso, day: iso.slice(0, 8) };
+}
+
+function canonicalQuery(params) {
+  return [...params.entries()].map(([k, v]) => [encode(k), encode(v)]).sort(([a, x], [b, y]) => (a < b ? -1 : a > b ? 1 : x < y ? -1 : x > y ? 1 : 0)).map(([k, v]) => `${k}=${v}`).join('&');
+}
+
+function signature(cfg, day, stringToSign) {
+  const kDate = hmac(`AWS4${cfg.secretKey}`, day);
+  const kRegion = hmac(kDate, cfg.region);
+  const kService = hmac(kRegion, 's3');
+  return hmac(hmac(kService, 'aws4_request'), stringToSign, 'hex');
+}
+
+function stringToSign(stamp, scope, canonicalRequest) {
+  return ['AWS4-HMAC-SHA256', stamp, scope, sha256(canonicalRequest)].join('\n');
+}
+
+// Authorization header for a request (headers are signed as given, plus host and x-amz-*)
+export function signRequest(cfg, { method, url, headers = {}, payloadHash = EMPTY_SHA256, now = new Date() }) {
+  const { stamp, day } = amzDate(now);
+  const all = { ...Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()])), host: url.host, 'x-amz-date': stamp, 'x-amz-content-sha256': payloadHash };
+  const names = Object.keys(all).sort();
+  const canonical = [method, url.pathname, canonicalQuery(url.searchParams), names.map(n => `${n}:${all[n]}\n`).join(''), names.join(';'), payloadHash].join('\n');
+  const scope = `${day}/${cfg.region}/s3/aws4_request`;
+  const sig = signature(cfg, day, stringToSign(stamp, scope, canonical));
+  return { ...all, authorization: `AWS4-HMAC-SHA256 Credential=${cfg.accessKey}/${scope}, SignedHeaders=${names.join(';')}, Signature=${sig}` };
+}
+
+// Query-string signed URL (GET by default) valid for `expiresSec` (max 7 days)
+export function presignUrl(cfg, key, { method = 'GET', expiresSec = 3600, now = new Date() } = {}) {
+  const { stamp, day } = amzDate(now);
+  const url = objectUrl(cfg, key);
+  const scope = `${day}/${cfg.region}/s3/aws4_request`;
+  url.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+  url.searchParams.set('X-Amz-Credential', `${cfg.accessKey}/${scope}`);
+  url.searchParams.set('X-Amz-Date', stamp);
+  url.searchParams.set('X-Amz-Expires', String(Math.min(Math.max(1, Math.floor(expiresSec)), 7 * 24 * 3600)));
+  url.searchParams.set('X-Amz-SignedHeaders', 'host');
+  const canonical = [method, url.pathname, canonicalQuery(url.searchParams), `host:${url.host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+  url.searchParams.set('X-Amz-Signature', signature(cfg, day, stringToSign(stamp, scope, canonical)));
+  return url.toString();
+}
+
+async function s3Request(cfg, { method, key = '', query = {}, headers = {}, body }) {
+  const url = objectUrl(cfg, key);
+  for (const [k, v] of Object.entries(query)) url.searchParams.set(k, v);
+  const payloadHash = body ? sha256(body) : EMPTY_SHA256;
+  const res = await fetch(url, { method, headers: signRequest(cfg, { method, url, headers, payloadHash }), body });
+  if (!res.ok) {
+    const text = await res.text();
+    const code = /<Code>([^<]+)<\/Code>/.exec(text)?.[1];
+    const message = /<Message>([^<]+)<\/Message>/.exec(text)?.[1];
+    throw new HttpError(`S3 ${method} failed: ${code || `HTTP ${res.status}`}${message ? ` (${message})` : ''}`, res.status, text);
+  }
+  return res;
+}
+
+const xmlValue = (xml, tag) => new RegExp(`<${tag}>([^<]*)</${tag}>`).exec(xml)?.[1] || null;
+
+// Magic bytes: ISO BMFF (mp4/mov/m4v) has a box type at offset 4, WebM starts with the EBML header
+export function sniffVideo(head) {
+  if (!head || head.length < 12) return null;
+  const box = head.subarray(4, 8).toString('latin1');
+  if (box === 'ftyp') {
+    const brand = head.subarray(8, 12).toString('latin1');
+    return brand === 'qt  ' ? 'video/quicktime' : brand.startsWith('M4V') ? 'video/x-m4v' : 'video/mp4';
+  }
+  if (['moov', 'mdat', 'wide', 'free', 'skip'].includes(box)) return 'video/quicktime';
+  if (head.readUInt32BE(0) === 0x1a45dfa3) return 'video/webm';
+  return null;
+}
+
+export function objectKeyFor(originalName = 'video', now = new Date()) {
+  const safe = originalName.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/-+\./g, '.').replace(/^-+|-+$/g, '').slice(-80) || 'video';
+  const d = now.toISOString().slice(0, 10).replace(/-/g, '/');
+  return `uploads/${d}/${crypto.randomUUID()}-${safe}`;
+}
+
+export function parseS3Url(url) {
+  const m = /^s3:\/\/([^/]+)\/(.+)$/.exec(url || '');
+  return m ? { bucket: m[1], key: m[2] } : null;
+}
+
+// Stream `source` (async iterable of Buffers) to `key` as a multipart upload. Only one part is
+// held in memory. Every part carries its SHA-256 so the store rejects corrupted parts; the whole
+// object's SHA-256 is returned. The content is sniffed before anything is uploaded. `onData`
+// sees every chunk in order (e.g. to read container metadata on the way through).
+export async function uploadStream(cfg, key, source, { contentType, allowedTypes = VIDEO_TYPES, signal, onData } = {}) {
+  const whole = crypto.createHash('sha256');
+  let pending = [];
+  let pendingBytes = 0;
+  let size = 0;
+  let uploadId = null;
+  let detected = null;
+  const parts = [];
+
+  const sendPart = async () => {
+    const body = Buffer.concat(pending, pendingBytes);
+    pending = [];
+    pendingBytes = 0;
+    const partNumber = parts.length + 1;
+    const res = await s3Request(cfg, { method: 'PUT', key, query: { partNumber: String(partNumber), uploadId }, headers: { 'x-amz-checksum-sha256': sha256(body, 'base64') }, body });
+    parts.push({ partNumber, etag: res.headers.get('etag'), checksum: sha256(body, 'base64') });
+  };
+
+  try {
+    for await (const chunk of source) {
+      if (signal?.aborted) throw signal.reason || new Error('upload aborted');
+      onData?.(chunk);
+      if (!uploadId) {
+        pending.push(chunk);
+        pendingBytes += chunk.length;
+        if (pendingBytes < 12) continue;
+        const head = Buffer.concat(pending, pendingBytes);
+        detected = sniffVideo(head);
+        if (!detected || !allowedTypes.includes(detected)) throw new HttpError(`Unsupported content: not a ${allowedTypes.join(' / ')} file`, 415);
+        const created = await s3Request(cfg, { method: 'POST', key, query: { uploads: '' }, headers: { 'content-type': contentType || detected, 'x-amz-checksum-algorithm': 'SHA256' } });
+        uploadId = xmlValue(await created.text(), 'UploadId');
+        if (!uploadId) throw new Error('S3 did not return an UploadId');
+        whole.update(head);
+        size += head.length;
+        pending = [head];
+        pendingBytes = head.length;
+      } else {
+        whole.update(chunk);
+        size += chunk.length;
+        pending.push(chunk);
+        pendingBytes += chunk.length;
+      }
+      if (pendingBytes >= cfg.partSize) await sendPart();
+    }
+    if (signal?.aborted) throw signal.reason || new Error('upload aborted');
+    if (!uploadId) throw new HttpError('Empty or truncated file', 400);
+    if (pendingBytes) await sendPart();
+    const xml = `<CompleteMultipartUpload>${parts.map(p => `<Part><PartNumber>${p.partNumber}</PartNumber><ETag>${p.etag}</ETag><ChecksumSHA256>${p.checksum}</ChecksumSHA256></Part>`).join('')}</CompleteMultipartUpload>`;
+    const done = await s3Request(cfg, { method: 'POST', key, query: { uploadId }, headers: { 'content-type': 'application/xml' }, body: Buffer.from(xml) });
+    const text = await done.text();
+    if (/<Error>/.test(text)) throw new HttpError(`S3 complete failed: ${xmlValue(text, 'Code')}`, 500, text);
+    return { bucket: cfg.bucket, key, size, sha256: whole.digest('hex'), contentType: contentType || detected, detectedType: detected, parts: parts.length, etag: xmlValue(text, 'ETag') };
+  } catch (e) {
+    if (uploadId) await s3Request(cfg, { method: 'DELETE', key, query: { uploadId } }).catch(() => {});
+    throw e;
+  }
+}
+
+export async function deleteObject(cfg, key) {
+  await s3Request(cfg, { method: 'DELETE', key });
+}
+
+export async function headBucket(cfg) {
+  await s3Request(cfg, { method: 'HEAD' });
+  return true;
+}
+
+// Multer storage engine that streams the file part straight to S3 (no buffering on disk or in RAM).
+// `probe()` may return a { push(chunk), finish(size) } inspector; its result (or error) lands on the file.
+export function s3MulterStorage(configFor, { probe } = {}) {
+  return {
+    _handleFile(req, file, cb) {
+      (async () => {
+        const cfg = await configFor(req);
+        if (!s3Configured(cfg)) throw new HttpError('S3 storage is not configured (s3AccessKey, s3SecretKey, s3BucketName)', 503);
+        const claimed = file.mimetype && file.mimetype !== 'application/octet-stream' ? file.mimetype : null;
+        if (claimed && !VIDEO_TYPES.includes(claimed)) throw new HttpError(`Unsupported content type ${claimed}`, 415);
+        const controller = new AbortController();
+        file.stream.on('limit', () => controller.abort(new HttpError('File too large', 413)));
+        const inspector = probe?.();
+        const info = await uploadStream(cfg, objectKeyFor(file.originalname), file.stream, { contentType: claimed, signal: controller.signal, onData: inspector && (c => inspector.push(c)) });
+        if (!inspector) return info;
+        try {
+          return { ...info, probe: inspector.finish(info.size) };
+        } catch (e) {
+          return { ...info, probe: null, probeError: e.message };
+        }
+      })().then(info => cb(null, info), err => {
+        file.stream.resume();
+        cb(err);
+      });
+    },
+    _removeFile(req, file, cb) {
+      if (!file.key) return cb(null);
+      Promise.resolve(configFor(req)).then(cfg => deleteObject(cfg, file.key)).then(() => cb(null), cb);
+    }
+  };
+}
@@ -0,0 +1,204 @@
+import { isValidTimeZone, parseHHmm } from './time.js';
+import { PLATFORMS } from './caps.js';
+import { normalizeHashtag, CAPTION_LIMITS } from './captions.js';
+
+export const CREDENTIAL_FIELDS = [
+  'instagramToken', 'igBusinessId', 'facebookPageId', 'facebookAppId', 'facebookAppSecret',
+  'youtubeAccessToken', 'youtubeRefreshToken', 'youtubeChannelId', 'youtubeClientId', 'youtubeClientSecret',
+  'dropboxToken', 'runwayApiKey', 'openaiApiKey', 's3AccessKey', 's3SecretKey', 's3BucketName', 's3Region', 'mongoURI'
+];
+
+// Integer fields and their accepted range
+const INT_RANGES = {
+  maxPosts: [0, 500],
+  minimumIGLikesToRepost: [0, 1e9],
+  recentPostsToCheck: [1, 50000],
+  hourlyLimit: [0, 60],
+  dailyLimit: [0, 500],
+  maxPostAttempts: [1, 20],
+  retryBackoffMinutes: [1, 1440],
+  repostDelay: [0, 365],
+  minPostGapMinutes: [0, 1440],
+  visualSimilarityDays: [1, 3650],
+  scrapeLimit: [1, 10000]
+};
+const BOOLEANS = ['autopilotEnabled', 'manual', 'peakHours', 'trendingAudio', 'aiCaptions', 'dropboxSave', 'burstModeEnabled'];
+const BURST_RANGES = { postsPerHour: [0, 60], maxTotal: [0, 10000], preloadMinutes: [0, 720] };
+const DEDUPE_RANGES = { visualHamming: [0, 64], captionSim: [0, 1], captionDurationSim: [0, 1], durationDeltaSec: [0, 600] };
+
+// Fields that are versioned and can be rolled back (credentials are excluded from snapshots)
+const PATHS = ['dropboxFolder', 'googleDriveFolderId'];
+
+export const VERSIONED_FIELDS = [...BOOLEANS, ...Object.keys(INT_RANGES), ...PATHS, 'postTime', 'timeZone', 'autopilotPlatforms', 'burstModeConfig', 'dedupeConfig', 'captionConfig'];
+
+// GET /api/settings masks credentials; a client posting the form back sends these unchanged
+const MASKS = new Set(['✅ Configured', '❌ Missing']);
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function int(value, [min, max], field, errors) {
+  const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof n !== 'number' || !Number.isInteger(n)) return void errors.push({ field, message: 'must be an integer' });
+  if (n < min || n > max) return void errors.push({ field, message: `must be between ${min} and ${max}` });
+  return n;
+}
+
+function bool(value, field, errors) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 'false') return value === 'true';
+  errors.push({ field, message: 'must be a boolean' });
+}
+
+function hhmm(value, field, errors) {
+  if (typeof value === 'string' && parseHHmm(value)) return value;
+  errors.push({ field, message: 'must be a 24h time HH:mm' });
+}
+
+// Partial burst config merged over the current one
+export function validateBurstConfig(input, current = {}, errors = [], prefix = 'burstModeConfig') {
+  if (!isObject(input)) {
+    errors.push({ field: prefix, message: 'must be an object' });
+    return null;
+  }
+  const base = typeof current?.toObject === 'function' ? current.toObject() : { ...(current || {}) };
+  const out = { ...base };
+  for (const [k, v] of Object.entries(input)) {
+    const field = `${prefix}.${k}`;
+    if (k === 'startTime' || k === 'endTime') out[k] = hhmm(v, field, errors);
+    else if (BURST_RANGES[k]) out[k] = int(v, BURST_RANGES[k], field, errors);
+    else if (k === 'platforms') {
+      if (!Array.isArray(v) || v.some(p => !PLATFORMS.includes(p))) errors.push({ field, message: `must be a list of ${PLATFORMS.join(', ')}` });
+      else out.platforms = [...new Set(v)];
+    } else errors.push({ field, message: 'unknown field' });
+  }
+  return out;
+}
+
+function validateDedupeConfig(input, current = {}, errors) {
+  if (!isObject(input)) return void errors.push({ field: 'dedupeConfig', message: 'must be an object' });
+  const out = { ...current, thresholds: { ...(current.thresholds || {}) } };
+  for (const [k, v] of Object.entries(input)) {
+    const field = `dedupeConfig.${k}`;
+    if (k === 'windowType') {
+      if (v === 'lastN' || v === 'days') out.windowType = v;
+      else errors.push({ field, message: "must be 'lastN' or 'days'" });
+    } else if (k === 'crossPlatform' || k === 'audioMatch') out[k] = bool(v, field, errors);
+    else if (k === 'thresholds') {
+      if (!isObject(v)) { errors.push({ field, message: 'must be an object' }); continue; }
+      for (const [platform, t] of Object.entries(v)) {
+        if (!PLATFORMS.includes(platform) || !isObject(t)) { errors.push({ field: `${field}.${platform}`, message: 'unknown platform or not an object' }); continue; }
+        const merged = { ...(out.thresholds[platform] || {}) };
+        for (const [name, raw] of Object.entries(t)) {
+          const range = DEDUPE_RANGES[name];
+          const n = Number(raw);
+          if (!range) errors.push({ field: `${field}.${platform}.${name}`, message: 'unknown field' });
+          else if (raw === null || raw === '' || !Number.isFinite(n) || n < range[0] || n > range[1]) errors.push({ field: `${field}.${platform}.${name}`, message: `must be between ${range[0]} and ${range[1]}` });
+          else merged[name] = n;
+        }
+        out.thresholds[platform] = merged;
+      }
+    } else errors.push({ field, message: 'unknown field' });
+  }
+  return out;
+}
+
+// Per-platform maps are merged over the current ones; a platform set to null goes back to the default
+function validateCaptionConfig(input, current = {}, errors) {
+  if (!isObject(input)) return void errors.push({ field: 'captionConfig', message: 'must be an object' });
+  const out = { ...current, templates: { ...(current.templates || {}) }, hashtags: { ...(current.hashtags || {}) }, hashtagCount: { ...(current.hashtagCount || {}) } };
+  const perPlatform = (k, v, check) => {
+    if (!isObject(v)) return void errors.push({ field: `captionConfig.${k}`, message: 'must be an object keyed by platform' });
+    for (const [platform, value] of Object.entries(v)) {
+      const field = `captionConfig.${k}.${platform}`;
+      if (!PLATFORMS.includes(platform)) errors.push({ field, message: 'unknown platform' });
+      else if (value === null) delete out[k][platform];
+      else {
+        const ok = check(value, platform, field);
+        if (ok !== undefined) out[k][platform] = ok;
+      }
+    }
+  };
+  for (const [k, v] of Object.entries(input)) {
+    const field = `captionConfig.${k}`;
+    if (k === 'templates') {
+      perPlatform(k, v, (t, p, f) => {
+        if (typeof t === 'string' && t.length <= 2000 && t.includes('{caption}')) return t;
+        errors.push({ field: f, message: 'must be a string up to 2000 chars containing {caption}' });
+      });
+    } else if (k === 'hashtags') {
+      perPlatform(k, v, (tags, p, f) => {
+        const norm = Array.isArray(tags) ? tags.map(normalizeHashtag) : [];
+        if (Array.isArray(tags) && tags.length <= 200 && norm.every(Boolean)) return [...new Set(norm)];
+        errors.push({ field: f, message: 'must be a list of up to 200 hashtags (letters, digits, _)' });
+      });
+    } else if (k === 'hashtagCount') perPlatform(k, v, (n, p, f) => int(n, [0, CAPTION_LIMITS[p].maxHashtags], f, errors));
+    else if (k === 'model' || k === 'instructions') {
+      const max = k === 'model' ? 100 : 1000;
+      if (typeof v === 'string' && v.length <= max) out[k] = v.trim();
+      else errors.push({ field, message: `must be a string up to ${max} chars` });
+    } else errors.push({ field, message: 'unknown field' });
+  }
+  return out;
+}
+
+// Validate a settings patch against the current document. Returns the $set
+// update and field-level errors; nothing should be written when errors is non-empty.
+export function validateSettingsPatch(body, current = {}) {
+  const errors = [];
+  const update = {};
+  if (!isObject(body)) return { update, errors: [{ field: '', message: 'body must be a JSON object' }] };
+  const input = { ...body };
+  // legacy alias
+  if ('minViews' in input) {
+    if (!('minimumIGLikesToRepost' in input)) input.minimumIGLikesToRepost = input.minViews;
+    delete input.minViews;
+  }
+  for (const [k, v] of Object.entries(input)) {
+    if (CREDENTIAL_FIELDS.includes(k)) {
+      // blank or masked means "keep what is stored"
+      if (v === '' || v === null || v === undefined || MASKS.has(v)) continue;
+      if (typeof v !== 'string' || v.length > 4096) errors.push({ field: k, message: 'must be a string up to 4096 chars' });
+      else update[k] = v.trim();
+    } else if (v === '' || v === null || v === undefined) {
+      continue; // do not overwrite with blank
+    } else if (INT_RANGES[k]) update[k] = int(v, INT_RANGES[k], k, errors);
+    else if (BOOLEANS.includes(k)) update[k] = bool(v, k, errors);
+    else if (k === 'postTime') update[k] = hhmm(v, k, errors);
+    else if (PATHS.includes(k)) {
+      if (typeof v === 'string' && v.length <= 1024 && !/[\0\n]/.test(v)) update[k] = v.trim();
+      else errors.push({ field: k, message: 'must be a folder path or id' });
+    }
+    else if (k === 'timeZone') {
+      if (isValidTimeZone(v)) update[k] = v;
+      else errors.push({ field: k, message: 'must be an IANA time zone like America/Chicago' });
+    } else if (k === 'autopilotPlatforms') {
+      if (!isObject(v) || Object.keys(v).some(p => !PLATFORMS.includes(p))) errors.push({ field: k, message: `must be an object with ${PLATFORMS.join(', ')} booleans` });
+      else update[k] = Object.fromEntries(PLATFORMS.map(p => [p, p in v ? !!v[p] : !!current.autopilotPlatforms?.[p]]));
+    } else if (k === 'burstModeConfig') update[k] = validateBurstConfig(v, current.burstModeConfig, errors);
+    else if (k === 'dedupeConfig') update[k] = validateDedupeConfig(v, current.dedupeConfig || {}, errors);
+    else if (k === 'captionConfig') update[k] = validateCaptionConfig(v, current.captionConfig || {}, errors);
+    else errors.push({ field: k, message: 'unknown field' });
+  }
+  // Couple manual when autopilotEnabled provided and manual not explicitly set
+  if ('autopilotEnabled' in update && !('manual' in input)) update.manual = !update.autopilotEnabled;
+  return { update, errors };
+}
+
+const plain = (v) => (v && typeof v.toObject === 'function' ? v.toObject() : v);
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+export function settingsSnapshot(doc) {
+  return Object.fromEntries(VERSIONED_FIELDS.map(k => [k, plain(doc?.[k]) ?? null]));
+}
+
+// Changed fields between two settings states; credential values are never copied
+export function diffSettings(before, after, fields) {
+  const changes = [];
+  for (const field of fields) {
+    const from = plain(before?.[field]);
+    const to = plain(after?.[field]);
+    if (same(from, to)) continue;
+    changes.push(CREDENTIAL_FIELDS.includes(field) ? { field, from: from ? '[set]' : null, to: to ? '[set]' : null } : { field, from: from ?? null, to: to ?? null });
+  }
+  return changes;
+}
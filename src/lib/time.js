@@ -0,0 +1,82 @@
+// Timezone helpers built on Intl so day boundaries and HH:mm windows follow the
+// configured IANA zone (DST included) instead of the server's local clock.
+const DEFAULT_TZ = 'America/Chicago';
+const formatters = new Map();
+
+export function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Settings.timeZone wins, then the TIMEZONE env var, then the historical default
+export function resolveTimeZone(settings) {
+  if (isValidTimeZone(settings?.timeZone)) return settings.timeZone;
+  if (isValidTimeZone(process.env.TIMEZONE)) return process.env.TIMEZONE;
+  return DEFAULT_TZ;
+}
+
+function formatter(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23', weekday: 'short',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return formatters.get(tz);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Wall-clock fields of `date` in `tz`. weekday: 0 = Sunday.
+export function zonedParts(date, tz) {
+  const parts = {};
+  for (const p of formatter(tz).formatToParts(date)) parts[p.type] = p.value;
+  return {
+    year: Number(parts.year), month: Number(parts.month), day: Number(parts.day),
+    hour: Number(parts.hour), minute: Number(parts.minute), second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+function offsetMs(date, tz) {
+  const p = zonedParts(date, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+// UTC instant for a wall-clock time in `tz`. Non-existent times (spring-forward gap)
+// resolve forward; ambiguous ones (fall-back) resolve to the earlier instant.
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, tz) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - offsetMs(new Date(guess), tz);
+  const second = guess - offsetMs(new Date(first), tz);
+  const matches = [first, second].filter(ms => {
+    const p = zonedParts(new Date(ms), tz);
+    return p.hour === hour && p.minute === minute;
+  });
+  return new Date(matches.length ? Math.min(...matches) : Math.max(first, second));
+}
+
+export function addZonedDays(parts, days) {
+  const d = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+export function startOfZonedDay(date, tz) {
+  const p = zonedParts(date, tz);
+  return zonedTimeToUtc({ year: p.year, month: p.month, day: p.day }, tz);
+}
+
+export function startOfNextZonedDay(date, tz) {
+  return zonedTimeToUtc(addZonedDays(zonedParts(date, tz), 1), tz);
+}
+
+export function parseHHmm(str) {
+  const m = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(str || ''));
+  return m ? { hour: Number(m[1]), minute: Number(m[2]) } : null;
+}
@@ -0,0 +1,126 @@
+import Settings from '../models/Settings.js';
+import { graphApiBase, googleOAuthBase } from './apiBase.js';
+import { fetchJson } from './http.js';
+import { revealSecret, sealSecrets, encryptionEnabled } from './credentials.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+// Refresh YouTube access tokens this long before they expire
+const YT_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// Renew the Instagram long-lived token (60 days) once it has less than this left
+const IG_RENEW_BEFORE_MS = 10 * DAY;
+
+export const REQUIRED_SCOPES = {
+  instagram: ['instagram_basic', 'instagram_content_publish', 'instagram_manage_insights', 'pages_read_engagement'],
+  youtube: ['https://www.googleapis.com/auth/youtube.upload', 'https://www.googleapis.com/auth/youtube.readonly']
+};
+
+export function missingScopes(platform, granted = []) {
+  const have = new Set(granted);
+  // the full youtube scope covers upload and readonly
+  if (platform === 'youtube' && have.has('https://www.googleapis.com/auth/youtube')) return [];
+  return REQUIRED_SCOPES[platform].filter(s => !have.has(s));
+}
+
+// Write refreshed credentials back and onto the in-memory settings doc: encrypted when
+// CREDENTIALS_KEY is set, otherwise in plain text like the stored values they replace
+async function persist(settings, update) {
+  const sealed = encryptionEnabled() ? sealSecrets(update) : update;
+  if (settings?._id) await Settings.updateOne({ _id: settings._id }, { $set: sealed });
+  if (settings) for (const [k, v] of Object.entries(sealed)) settings[k] = v;
+}
+
+function googleClient(settings) {
+  return {
+    clientId: settings.youtubeClientId || process.env.YOUTUBE_CLIENT_ID || '',
+    clientSecret: revealSecret(settings, 'youtubeClientSecret') || process.env.YOUTUBE_CLIENT_SECRET || '',
+    refreshToken: revealSecret(settings, 'youtubeRefreshToken') || process.env.YOUTUBE_REFRESH_TOKEN || ''
+  };
+}
+
+export function canRefreshYouTube(settings) {
+  const c = googleClient(settings);
+  return !!(c.clientId && c.clientSecret && c.refreshToken);
+}
+
+export async function refreshYouTubeToken(settings, now = new Date()) {
+  const { clientId, clientSecret, refreshToken } = googleClient(settings);
+  if (!clientId || !clientSecret || !refreshToken) throw new Error('YouTube refresh needs youtubeClientId, youtubeClientSecret and youtubeRefreshToken');
+  const j = await fetchJson(`${googleOAuthBase()}/token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ grant_type: 'refresh_token', client_id: clientId, client_secret: clientSecret, refresh_token: refreshToken }).toString()
+  });
+  if (!j?.access_token) throw new Error('YouTube token refresh returned no access_token');
+  return {
+    accessToken: j.access_token,
+    expiresAt: new Date(now.getTime() + (Number(j.expires_in) || 3600) * 1000),
+    scopes: String(j.scope || '').split(' ').filter(Boolean),
+    refreshToken: j.refresh_token || null
+  };
+}
+
+// Access token to send to YouTube, refreshed first when it is missing, about to expire or `force`d
+// (e.g. after a 401). Concurrent callers share one refresh.
+let ytRefreshing = null;
+export async function youtubeAccessToken(settings, { force = false, now = new Date() } = {}) {
+  const current = revealSecret(settings, 'youtubeAccessToken');
+  const expiresAt = settings.youtubeTokenExpiresAt ? new Date(settings.youtubeTokenExpiresAt).getTime() : null;
+  const due = force || !current || (expiresAt !== null && expiresAt - now.getTime() < YT_REFRESH_MARGIN_MS);
+  if (!due || !canRefreshYouTube(settings)) return current;
+  if (!ytRefreshing) {
+    ytRefreshing = (async () => {
+      const r = await refreshYouTubeToken(settings, now);
+      const update = { youtubeAccessToken: r.accessToken, youtubeTokenExpiresAt: r.expiresAt };
+      if (r.refreshToken) update.youtubeRefreshToken = r.refreshToken;
+      await persist(settings, update);
+      return r.accessToken;
+    })().finally(() => { ytRefreshing = null; });
+  }
+  return ytRefreshing;
+}
+
+function facebookApp(settings) {
+  return {
+    appId: settings.facebookAppId || process.env.FACEBOOK_APP_ID || '',
+    appSecret: revealSecret(settings, 'facebookAppSecret') || process.env.FACEBOOK_APP_SECRET || ''
+  };
+}
+
+// Short-lived (or current long-lived) user token -> new long-lived token (~60 days)
+export async function exchangeInstagramToken(settings, token, now = new Date()) {
+  const { appId, appSecret } = facebookApp(settings);
+  if (!appId || !appSecret) throw new Error('Instagram token exchange needs facebookAppId and facebookAppSecret');
+  const qs = new URLSearchParams({ grant_type: 'fb_exchange_token', client_id: appId, client_secret: appSecret, fb_exchange_token: token });
+  const j = await fetchJson(`${graphApiBase()}/oauth/access_token?${qs}`);
+  if (!j?.access_token) throw new Error('Instagram token exchange returned no access_token');
+  return { accessToken: j.access_token, expiresAt: new Date(now.getTime() + (Number(j.expires_in) || 60 * 24 * 60 * 60) * 1000) };
+}
+
+// debug_token: validity, expiry (null = never expires) and granted scopes
+export async function inspectInstagramToken(settings, token) {
+  const { appId, appSecret } = facebookApp(settings);
+  if (!appId || !appSecret) return null;
+  const qs = new URLSearchParams({ input_token: token, access_token: `${appId}|${appSecret}` });
+  const { data } = await fetchJson(`${graphApiBase()}/debug_token?${qs}`);
+  return {
+    valid: !!data?.is_valid,
+    expiresAt: data?.expires_at ? new Date(data.expires_at * 1000) : null,
+    scopes: data?.scopes || [],
+    error: data?.error?.message || null
+  };
+}
+
+// Exchange the stored Instagram token for a fresh long-lived one when it is close to expiry.
+// Without a known expiry (new or never-expiring token) it is exchanged at most every 30 days.
+export async function renewInstagramToken(settings, { force = false, now = new Date() } = {}) {
+  if (!settings.instagramToken) return { renewed: false, reason: 'no token' };
+  const { appId, appSecret } = facebookApp(settings);
+  if (!appId || !appSecret) return { renewed: false, reason: 'no app credentials' };
+  const expiresAt = settings.instagramTokenExpiresAt ? new Date(settings.instagramTokenExpiresAt).getTime() : null;
+  const renewedAt = settings.instagramTokenRenewedAt ? new Date(settings.instagramTokenRenewedAt).getTime() : null;
+  const due = force || (expiresAt !== null ? expiresAt - now.getTime() < IG_RENEW_BEFORE_MS : !renewedAt || now.getTime() - renewedAt > 30 * DAY);
+  if (!due) return { renewed: false, reason: 'not due', expiresAt: settings.instagramTokenExpiresAt };
+  const r = await exchangeInstagramToken(settings, revealSecret(settings, 'instagramToken'), now);
+  await persist(settings, { instagramToken: r.accessToken, instagramTokenExpiresAt: r.expiresAt, instagramTokenRenewedAt: now });
+  return { renewed: true, expiresAt: r.expiresAt };
+}
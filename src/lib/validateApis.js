@@ -0,0 +1,88 @@
+import { graphApiBase, youtubeApiBase, googleOAuthBase, openaiApiBase, dropboxApiBase, driveApiBase } from './apiBase.js';
+import { fetchJson } from './http.js';
+import { revealSecret } from './credentials.js';
+import { s3Config, s3Configured, headBucket } from './s3.js';
+import { youtubeAccessToken, canRefreshYouTube, inspectInstagramToken, missingScopes } from './tokens.js';
+
+// Each probe makes one or two cheap authenticated calls and reports
+// { name, configured, ok, error, expiresAt, scopes, missingScopes, details }.
+const probes = {
+  async instagram(s) {
+    const igId = s.igBusinessId;
+    if (!s.instagramToken || !igId) return { configured: false };
+    const token = revealSecret(s, 'instagramToken');
+    const account = await fetchJson(`${graphApiBase()}/${encodeURIComponent(igId)}?fields=id,username,followers_count&access_token=${encodeURIComponent(token)}`);
+    const out = { details: { igBusinessId: account.id, username: account.username || null }, expiresAt: s.instagramTokenExpiresAt || null };
+    const info = await inspectInstagramToken(s, token);
+    if (info) {
+      Object.assign(out, { expiresAt: info.expiresAt, scopes: info.scopes, missingScopes: missingScopes('instagram', info.scopes) });
+      if (!info.valid) out.error = info.error || 'token reported invalid';
+    }
+    return out;
+  },
+
+  async youtube(s) {
+    if (!s.youtubeAccessToken && !canRefreshYouTube(s)) return { configured: false };
+    const token = await youtubeAccessToken(s);
+    const info = await fetchJson(`${googleOAuthBase()}/tokeninfo?access_token=${encodeURIComponent(token)}`);
+    const scopes = String(info.scope || '').split(' ').filter(Boolean);
+    const channel = await fetchJson(`${youtubeApiBase()}/youtube/v3/channels?part=id&mine=true`, { headers: { Authorization: `Bearer ${token}` } });
+    return {
+      expiresAt: info.expires_in ? new Date(Date.now() + Number(info.expires_in) * 1000) : s.youtubeTokenExpiresAt || null,
+      scopes,
+      missingScopes: missingScopes('youtube', scopes),
+      details: { channelId: channel?.items?.[0]?.id || null, refreshable: canRefreshYouTube(s) }
+    };
+  },
+
+  async openai(s) {
+    const key = revealSecret(s, 'openaiApiKey') || process.env.OPENAI_API_KEY;
+    if (!key) return { configured: false };
+    const j = await fetchJson(`${openaiApiBase()}/models`, { headers: { Authorization: `Bearer ${key}` } });
+    return { details: { models: Array.isArray(j?.data) ? j.data.length : 0 } };
+  },
+
+  async gdrive(s) {
+    const folderId = s.googleDriveFolderId;
+    if (!folderId || (!s.youtubeAccessToken && !canRefreshYouTube(s))) return { configured: false };
+    const token = await youtubeAccessToken(s);
+    const folder = await fetchJson(`${driveApiBase()}/files/${encodeURIComponent(folderId)}?fields=id,name,mimeType&supportsAllDrives=true`, { headers: { Authorization: `Bearer ${token}` } });
+    if (folder.mimeType !== 'application/vnd.google-apps.folder') return { error: 'googleDriveFolderId is not a folder' };
+    return { details: { folderId: folder.id, name: folder.name } };
+  },
+
+  async s3(s) {
+    const cfg = s3Config(s);
+    if (!s3Configured(cfg)) return { configured: false };
+    await headBucket(cfg);
+    return { details: { bucket: cfg.bucket, region: cfg.region, endpoint: cfg.endpoint || null } };
+  },
+
+  async dropbox(s) {
+    const token = revealSecret(s, 'dropboxToken') || process.env.DROPBOX_TOKEN;
+    if (!token) return { configured: false };
+    const j = await fetchJson(`${dropboxApiBase()}/2/users/get_current_account`, { method: 'POST', headers: { Authorization: `Bearer ${token}` } });
+    return { details: { accountId: j?.account_id || null, email: j?.email || null } };
+  }
+};
+
+export const INTEGRATIONS = Object.keys(probes);
+
+export async function validateIntegrations(settings, { only } = {}) {
+  const names = only?.length ? INTEGRATIONS.filter(n => only.includes(n)) : INTEGRATIONS;
+  const results = [];
+  for (const name of names) {
+    const started = Date.now();
+    let r;
+    try {
+      r = { configured: true, ...(await probes[name](settings)) };
+    } catch (e) {
+      r = { configured: true, error: String(e?.message || e), httpStatus: e?.status || null };
+    }
+    const missing = r.missingScopes || [];
+    const ok = r.configured && !r.error && !missing.length;
+    results.push({ name, configured: r.configured, ok, status: !r.configured ? 'not_configured' : ok ? 'pass' : 'fail', ms: Date.now() - started, expiresAt: r.expiresAt || null, scopes: r.scopes || null, missingScopes: missing, error: r.error || (missing.length ? `missing scopes: ${missing.join(', ')}` : null), httpStatus: r.httpStatus || null, details: r.details || null });
+  }
+  const configured = results.filter(r => r.configured);
+  return { summary: { valid: configured.filter(r => r.ok).length, total: configured.length, failed: configured.filter(r => !r.ok).length, notConfigured: results.length - configured.length }, results };
+}
@@ -0,0 +1,287 @@
+// Reads MP4/MOV (ISO BMFF) metadata straight from the container atoms: duration, dimensions,
+// rotation, codecs, frame rate and bitrate. Only `ftyp` and `moov` are kept in memory, so the
+// probe can sit on an upload stream; `mdat` (the media data) is skipped wherever it sits.
+
+export class VideoProbeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VideoProbeError';
+  }
+}
+
+const MB = 1024 * 1024;
+const CONTAINERS = { 'qt  ': 'mov' };
+const CODECS = { avc1: 'h264', avc3: 'h264', hvc1: 'hevc', hev1: 'hevc', av01: 'av1', vp09: 'vp9', mp4v: 'mpeg4', mp4a: 'aac', 'ac-3': 'ac3', 'ec-3': 'eac3', Opus: 'opus', lpcm: 'pcm', sowt: 'pcm', twos: 'pcm' };
+
+// Child boxes of buf[start, end): { type, start, body, end }
+function* boxes(buf, start = 0, end = buf.length) {
+  let pos = start;
+  while (pos + 8 <= end) {
+    let size = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    let header = 8;
+    if (size === 1) {
+      if (pos + 16 > end) return;
+      size = Number(buf.readBigUInt64BE(pos + 8));
+      header = 16;
+    } else if (size === 0) size = end - pos;
+    if (size < header || pos + size > end) throw new VideoProbeError(`corrupt ${type} box`);
+    yield { type, start: pos, body: pos + header, end: pos + size };
+    pos += size;
+  }
+}
+
+const child = (buf, box, type) => box && [...boxes(buf, box.body, box.end)].find(b => b.type === type);
+const path = (buf, box, ...types) => types.reduce((b, t) => child(buf, b, t), box);
+const uint64 = (buf, at) => Number(buf.readBigUInt64BE(at));
+
+// mvhd and mdhd share the timescale/duration layout
+function timing(buf, box) {
+  if (!box) return null;
+  const v1 = buf[box.body] === 1;
+  const timescale = buf.readUInt32BE(box.body + (v1 ? 20 : 12));
+  const duration = v1 ? uint64(buf, box.body + 24) : buf.readUInt32BE(box.body + 16);
+  return timescale ? { timescale, duration, seconds: duration / timescale } : null;
+}
+
+function trackHeader(buf, box) {
+  const v1 = buf[box.body] === 1;
+  const matrix = box.body + (v1 ? 52 : 40);
+  const a = buf.readInt32BE(matrix) / 65536;
+  const b = buf.readInt32BE(matrix + 4) / 65536;
+  const rotation = ((Math.round(Math.atan2(b, a) * 180 / Math.PI / 90) * 90) % 360 + 360) % 360;
+  return { rotation, width: Math.round(buf.readUInt32BE(matrix + 36) / 65536), height: Math.round(buf.readUInt32BE(matrix + 40) / 65536) };
+}
+
+function sampleEntry(buf, stbl) {
+  const stsd = child(buf, stbl, 'stsd');
+  if (!stsd || buf.readUInt32BE(stsd.body + 4) === 0) return null;
+  const at = stsd.body + 8;
+  return { type: buf.toString('latin1', at + 4, at + 8), at };
+}
+
+function sampleStats(buf, stbl) {
+  const stts = child(buf, stbl, 'stts');
+  const stsz = child(buf, stbl, 'stsz');
+  let frames = 0;
+  if (stts) for (let i = 0, n = buf.readUInt32BE(stts.body + 4); i < n; i++) frames += buf.readUInt32BE(stts.body + 8 + i * 8);
+  let bytes = 0;
+  if (stsz) {
+    const fixed = buf.readUInt32BE(stsz.body + 4);
+    const count = buf.readUInt32BE(stsz.body + 8);
+    if (fixed) bytes = fixed * count;
+    else for (let i = 0; i < count; i++) bytes += buf.readUInt32BE(stsz.body + 12 + i * 4);
+  }
+  return { frames, bytes };
+}
+
+function parseTrack(buf, trak) {
+  const mdia = child(buf, trak, 'mdia');
+  const hdlr = child(buf, mdia, 'hdlr');
+  const handler = hdlr ? buf.toString('latin1', hdlr.body + 8, hdlr.body + 12) : null;
+  const stbl = path(buf, mdia, 'minf', 'stbl');
+  const entry = sampleEntry(buf, stbl);
+  const time = timing(buf, child(buf, mdia, 'mdhd'));
+  const stats = sampleStats(buf, stbl);
+  const track = { handler, codecTag: entry?.type || null, codec: CODECS[entry?.type] || entry?.type || null, durationSec: time?.seconds || 0, bitrate: time?.seconds && stats.bytes ? Math.round(stats.bytes * 8 / time.seconds) : null };
+  if (handler === 'vide') {
+    const tkhd = trackHeader(buf, child(buf, trak, 'tkhd'));
+    // The sample entry carries the coded size; tkhd the presentation size (before rotation)
+    const coded = entry ? { width: buf.readUInt16BE(entry.at + 32), height: buf.readUInt16BE(entry.at + 34) } : {};
+    Object.assign(track, { width: tkhd.width || coded.width || null, height: tkhd.height || coded.height || null, rotation: tkhd.rotation, fps: time?.seconds && stats.frames ? Math.round(stats.frames / time.seconds * 100) / 100 : null });
+  }
+  return track;
+}
+
+// iTunes-style cover art (moov/udta/meta/ilst/covr/data), if the file carries one
+function coverArt(buf, moov) {
+  const meta = path(buf, moov, 'udta', 'meta');
+  if (!meta) return null;
+  // ISO meta is a full box (version/flags before its children); QuickTime's is not
+  const start = buf.readUInt32BE(meta.body) === 0 ? meta.body + 4 : meta.body;
+  const ilst = [...boxes(buf, start, meta.end)].find(b => b.type === 'ilst');
+  const data = child(buf, child(buf, ilst, 'covr'), 'data');
+  return data && data.end - data.body > 8 ? Buffer.from(buf.subarray(data.body + 8, data.end)) : null;
+}
+
+// Summary of a complete `moov` box (buf holds the whole box)
+export function parseMoov(buf, { brand = null, fileSize = null } = {}) {
+  const moov = [...boxes(buf)].find(b => b.type === 'moov');
+  if (!moov) throw new VideoProbeError('no moov box');
+  const movie = timing(buf, child(buf, moov, 'mvhd'));
+  const tracks = [...boxes(buf, moov.body, moov.end)].filter(b => b.type === 'trak').map(t => parseTrack(buf, t));
+  const video = tracks.find(t => t.handler === 'vide');
+  const audio = tracks.find(t => t.handler === 'soun');
+  // Fragmented files leave mvhd's duration at 0; mehd has the total
+  const mehd = path(buf, moov, 'mvex', 'mehd');
+  const fragmented = mehd && movie ? (buf[mehd.body] === 1 ? uint64(buf, mehd.body + 4) : buf.readUInt32BE(mehd.body + 4)) / movie.timescale : 0;
+  const durationSec = Math.round((movie?.seconds || fragmented || video?.durationSec || 0) * 1000) / 1000;
+  if (!video) throw new VideoProbeError('no video track');
+  const quarterTurn = video.rotation === 90 || video.rotation === 270;
+  let cover = null;
+  try {
+    cover = coverArt(buf, moov);
+  } catch {
+    // a broken metadata box doesn't make the video unreadable
+  }
+  return {
+    container: CONTAINERS[brand] || 'mp4',
+    brand,
+    durationSec,
+    width: quarterTurn ? video.height : video.width,
+    height: quarterTurn ? video.width : video.height,
+    codedWidth: video.width,
+    codedHeight: video.height,
+    rotation: video.rotation,
+    codec: video.codec,
+    fps: video.fps,
+    videoBitrate: video.bitrate,
+    audioCodec: audio?.codec || null,
+    bitrate: fileSize && durationSec ? Math.round(fileSize * 8 / durationSec) : (video.bitrate || 0) + (audio?.bitrate || 0) || null,
+    size: fileSize,
+    coverArt: cover
+  };
+}
+
+// Incremental probe: push() every chunk in order, then finish(totalSize). Returns null from
+// finish() for content that is not ISO BMFF (e.g. WebM); throws VideoProbeError for broken files.
+// A reader that stops once `complete` is set (moov seen) calls finish(size, { partial: true }).
+export function createVideoProbe({ maxMoovBytes = 64 * MB } = {}) {
+  let offset = 0;            // absolute position of the next byte pushed
+  let header = Buffer.alloc(0);
+  let skip = 0;              // bytes of the current box still to pass over
+  let skipping = null;       // type of that box
+  let collect = null;        // { type, chunks, remaining } for ftyp/moov
+  let brand = null;
+  let moov = null;
+  let iso = null;
+  let error = null;
+
+  const push = (chunk) => {
+    if (error || iso === false) return;
+    let at = 0;
+    while (at < chunk.length) {
+      if (skip) {
+        const n = Math.min(skip, chunk.length - at);
+        skip -= n;
+        at += n;
+        continue;
+      }
+      if (collect) {
+        const part = chunk.subarray(at, at + collect.remaining);
+        collect.chunks.push(part);
+        collect.remaining -= part.length;
+        at += part.length;
+        if (!collect.remaining) {
+          const box = Buffer.concat(collect.chunks);
+          if (collect.type === 'ftyp') brand = box.toString('latin1', 8, 12);
+          else moov = box;
+          collect = null;
+        }
+        continue;
+      }
+      const need = header.length >= 8 && header.readUInt32BE(0) === 1 ? 16 : 8;
+      const take = Math.min(need - header.length, chunk.length - at);
+      header = Buffer.concat([header, chunk.subarray(at, at + take)]);
+      at += take;
+      if (header.length < need) continue;
+      if (need === 8 && header.readUInt32BE(0) === 1) continue;
+      const type = header.toString('latin1', 4, 8);
+      if (iso === null) {
+        iso = ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip'].includes(type);
+        if (!iso) return;
+      }
+      let size = header.readUInt32BE(0);
+      if (size === 1) size = Number(header.readBigUInt64BE(8));
+      if (size === 0) {
+        // Last box runs to the end of the file; nothing after it to find
+        skip = Infinity;
+      } else if (size < header.length) {
+        error = new VideoProbeError(`corrupt ${type} box at byte ${offset + at - header.length}`);
+        return;
+      } else if ((type === 'moov' && !moov) || (type === 'ftyp' && !brand)) {
+        if (size > maxMoovBytes) {
+          error = new VideoProbeError(`${type} box too large (${size} bytes)`);
+          return;
+        }
+        collect = { type, chunks: [header], remaining: size - header.length };
+      } else {
+        skip = size - header.length;
+        skipping = type;
+      }
+      header = Buffer.alloc(0);
+    }
+    offset += chunk.length;
+  };
+
+  const finish = (fileSize = offset, { partial = false } = {}) => {
+    if (error) throw error;
+    if (!iso) return null;
+    const cut = !partial && (collect?.type || (Number.isFinite(skip) && skip > 0 && skipping));
+    if (cut) throw new VideoProbeError(`file ends inside the ${cut} box (truncated upload?)`);
+    if (!moov) throw new VideoProbeError('no moov box (not a finished MP4/MOV file)');
+    try {
+      return parseMoov(moov, { brand, fileSize });
+    } catch (e) {
+      throw e instanceof VideoProbeError ? e : new VideoProbeError(`corrupt moov box (${e.message})`);
+    }
+  };
+
+  return { push, finish, get complete() { return !!moov; } };
+}
+
+export function probeVideoBuffer(buf) {
+  const probe = createVideoProbe();
+  probe.push(buf);
+  return probe.finish(buf.length);
+}
+
+// Per-platform publishing requirements: Instagram Reels (Graph API) and YouTube Shorts
+export const PLATFORM_SPECS = {
+  instagram: { containers: ['mp4', 'mov'], codecs: ['h264', 'hevc'], minDurationSec: 3, maxDurationSec: 900, minAspect: 0.01, maxAspect: 10, recommendedAspect: 9 / 16, maxWidth: 1920, minFps: 23, maxFps: 60, maxVideoBitrate: 25 * 1000 * 1000, maxSize: 300 * MB },
+  youtube: { minDurationSec: 1, maxDurationSec: 180, maxAspect: 1, recommendedAspect: 9 / 16, maxSize: 256 * 1024 * MB }
+};
+
+const ratio = (a) => {
+  const r = Math.round(a * 100) / 100;
+  return r >= 1 ? `${r}:1` : `1:${Math.round(100 / a) / 100}`;
+};
+
+// Rule results for one platform: errors block queueing, warnings are advisory
+export function checkPlatformSpec(info, platform) {
+  const spec = PLATFORM_SPECS[platform];
+  const errors = [];
+  const warnings = [];
+  const fail = (rule, message) => errors.push({ rule, message });
+  if (!spec) return { ok: true, errors, warnings };
+  if (!info) {
+    if (spec.containers) fail('container', `${platform} needs an ${spec.containers.join('/').toUpperCase()} file`);
+    else warnings.push({ rule: 'metadata', message: 'container metadata not readable; duration and dimensions unchecked' });
+    return { ok: !errors.length, errors, warnings };
+  }
+  const { durationSec, width, height, fps, codec, videoBitrate, size } = info;
+  if (spec.containers && !spec.containers.includes(info.container)) fail('container', `${info.container} is not accepted (${spec.containers.join(', ')})`);
+  if (spec.codecs && codec && !spec.codecs.includes(codec)) fail('codec', `video codec ${codec} is not accepted (${spec.codecs.join(', ')})`);
+  if (!durationSec) fail('duration', 'video has no duration');
+  else if (durationSec < spec.minDurationSec) fail('min_duration', `${durationSec}s is shorter than ${spec.minDurationSec}s`);
+  else if (durationSec > spec.maxDurationSec) fail('max_duration', `${durationSec}s is longer than ${spec.maxDurationSec}s`);
+  if (width && height) {
+    const aspect = width / height;
+    if (spec.minAspect && aspect < spec.minAspect) fail('aspect_ratio', `aspect ratio ${ratio(aspect)} is narrower than ${ratio(spec.minAspect)}`);
+    if (spec.maxAspect && aspect > spec.maxAspect) fail('aspect_ratio', platform === 'youtube' ? `Shorts must be vertical or square (got ${width}x${height})` : `aspect ratio ${ratio(aspect)} is wider than ${ratio(spec.maxAspect)}`);
+    if (spec.recommendedAspect && Math.abs(aspect - spec.recommendedAspect) > 0.02 && aspect <= (spec.maxAspect || Infinity)) warnings.push({ rule: 'aspect_ratio', message: `${width}x${height} is not 9:16; it will be letterboxed or cropped` });
+    if (spec.maxWidth && width > spec.maxWidth) fail('max_width', `width ${width}px exceeds ${spec.maxWidth}px`);
+  } else fail('dimensions', 'video dimensions not found');
+  if (fps && spec.minFps && fps < spec.minFps) fail('frame_rate', `${fps} fps is below ${spec.minFps} fps`);
+  if (fps && spec.maxFps && fps > spec.maxFps) fail('frame_rate', `${fps} fps is above ${spec.maxFps} fps`);
+  if (videoBitrate && spec.maxVideoBitrate && videoBitrate > spec.maxVideoBitrate) fail('bitrate', `video bitrate ${Math.round(videoBitrate / 1000)} kbps exceeds ${spec.maxVideoBitrate / 1000} kbps`);
+  if (size && spec.maxSize && size > spec.maxSize) fail('file_size', `${Math.round(size / MB)} MB exceeds ${spec.maxSize / MB} MB`);
+  return { ok: !errors.length, errors, warnings };
+}
+
+// Fields stored on a queue item
+export function videoMeta(info) {
+  if (!info) return null;
+  const { container, durationSec, width, height, rotation, codec, fps, bitrate, videoBitrate, audioCodec } = info;
+  return { container, durationSec, width, height, rotation, codec, fps, bitrate, videoBitrate, audioCodec };
+}
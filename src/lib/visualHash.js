@@ -0,0 +1,86 @@
+import Jimp from 'jimp';
+
+// Perceptual hashes of cover / keyframe images, 64 bits as 16 hex chars:
+//   aHash - 8x8 greyscale thumbnail, bit set where the pixel is above the mean
+//   pHash - 32x32 greyscale, 2D DCT, bit set where a low-frequency coefficient (top-left 8x8)
+//           is above their median; survives re-encoding, scaling and small crops much better
+// An item keeps `visualHash` (pHash of its primary image) plus `frameHashes` for every image,
+// so a clip still matches a re-cut of itself that shares only some of its frames.
+export const MAX_FRAMES = 8;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+const N = 32;
+const COS = Array.from({ length: 8 }, (_, u) => Float64Array.from({ length: N }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * N))));
+
+function toHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  return hex;
+}
+
+function greys(image, size) {
+  const img = image.clone().greyscale().resize(size, size, Jimp.RESIZE_BILINEAR);
+  const out = new Float64Array(size * size);
+  for (let i = 0; i < out.length; i++) out[i] = img.bitmap.data[i * 4];
+  return out;
+}
+
+export function aHashOf(image) {
+  const px = greys(image, 8);
+  const mean = px.reduce((a, b) => a + b, 0) / px.length;
+  return toHex(Array.from(px, v => (v > mean ? 1 : 0)));
+}
+
+export function pHashOf(image) {
+  const px = greys(image, N);
+  // Separable DCT-II, only the 8x8 lowest frequencies are needed
+  const rows = new Float64Array(N * 8);
+  for (let y = 0; y < N; y++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let x = 0; x < N; x++) sum += px[y * N + x] * COS[u][x];
+      rows[y * 8 + u] = sum;
+    }
+  }
+  const coeffs = new Float64Array(64);
+  for (let v = 0; v < 8; v++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let y = 0; y < N; y++) sum += rows[y * 8 + u] * COS[v][y];
+      coeffs[v * 8 + u] = sum;
+    }
+  }
+  // The DC term only carries overall brightness; leave it out of the median
+  const sorted = Array.from(coeffs.subarray(1)).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  return toHex(Array.from(coeffs, v => (v > median ? 1 : 0)));
+}
+
+export async function hashImage(buffer) {
+  if (!Buffer.isBuffer(buffer) || !buffer.length) throw new Error('empty image');
+  if (buffer.length > MAX_IMAGE_BYTES) throw new Error('image larger than 10 MB');
+  const image = await Jimp.read(buffer);
+  return { ahash: aHashOf(image), phash: pHashOf(image) };
+}
+
+// { visualHash, frameHashes } for images in priority order (cover first). Identical frames are
+// collapsed and at most MAX_FRAMES are kept. Returns null when no image was given.
+export async function hashImages(buffers) {
+  const frameHashes = [];
+  for (const buf of buffers.filter(Boolean)) {
+    if (frameHashes.length >= MAX_FRAMES) break;
+    const h = await hashImage(buf);
+    if (!frameHashes.some(f => f.phash === h.phash)) frameHashes.push(h);
+  }
+  return frameHashes.length ? { visualHash: frameHashes[0].phash, frameHashes } : null;
+}
+
+export async function fetchImage(url, { headers = {} } = {}) {
+  const res = await fetch(url, { headers });
+  if (!res.ok) throw new Error(`image fetch failed: HTTP ${res.status}`);
+  const type = res.headers.get('content-type') || '';
+  if (type && !type.startsWith('image/') && !type.startsWith('application/octet-stream')) throw new Error(`not an image (${type})`);
+  const declared = Number(res.headers.get('content-length'));
+  if (declared > MAX_IMAGE_BYTES) throw new Error('image larger than 10 MB');
+  return Buffer.from(await res.arrayBuffer());
+}
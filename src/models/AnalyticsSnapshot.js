@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+const AnalyticsSnapshotSchema = new mongoose.Schema({
+  platform: { type: String, enum: ['instagram','youtube'], required: true },
+  takenAt: { type: Date, required: true, default: () => new Date() },
+  followers: { type: Number, default: null },
+  subscribers: { type: Number, default: null },
+  views: { type: Number, default: null },
+  mediaCount: { type: Number, default: null },
+  reach: { type: Number, default: null },
+  engagementRate: { type: Number, default: null },
+  data: { type: Object, default: {} }
+}, { collection: 'analyticssnapshots' });
+
+AnalyticsSnapshotSchema.index({ platform: 1, takenAt: -1 });
+
+export default mongoose.models.AnalyticsSnapshot || mongoose.model('AnalyticsSnapshot', AnalyticsSnapshotSchema);
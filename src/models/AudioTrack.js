@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// Audio catalog for trending-audio rotation; queue items and memos reference a track as audioKey 'track:<trackId>'
+const AudioTrackSchema = new mongoose.Schema({
+  trackId: { type: String, required: true, unique: true },
+  title: { type: String, default: '' },
+  artist: { type: String, default: '' },
+  url: { type: String, default: null },
+  durationSec: { type: Number, default: null },
+  // trend score as imported; it decays with the age of trendUpdatedAt when tracks are ranked
+  trendScore: { type: Number, default: 0 },
+  trendUpdatedAt: { type: Date, default: () => new Date() },
+  source: { type: String, default: 'import' },
+  active: { type: Boolean, default: true },
+  lastUsedAt: { type: Date, default: null },
+  useCount: { type: Number, default: 0 }
+}, { timestamps: true, collection: 'audiotracks' });
+
+AudioTrackSchema.index({ active: 1, trendScore: -1 });
+
+export default mongoose.models.AudioTrack || mongoose.model('AudioTrack', AudioTrackSchema);
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+const AuditLogSchema = new mongoose.Schema({
+  actor: { type: String, required: true },
+  role: { type: String, default: null },
+  authMethod: { type: String, default: null },
+  method: { type: String, required: true },
+  path: { type: String, required: true },
+  status: { type: Number, default: null },
+  durationMs: { type: Number, default: null },
+  ip: { type: String, default: null },
+  body: { type: Object, default: null },
+  timestamp: { type: Date, default: () => new Date() }
+}, { collection: 'auditlogs', versionKey: false });
+
+AuditLogSchema.index({ timestamp: -1 });
+AuditLogSchema.index({ actor: 1, timestamp: -1 });
+
+export default mongoose.models.AuditLog || mongoose.model('AuditLog', AuditLogSchema);
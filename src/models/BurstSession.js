@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+const BurstSessionSchema = new mongoose.Schema({
+  windowStart: { type: Date, required: true, unique: true },
+  windowEnd: { type: Date, required: true },
+  platforms: { type: [String], default: [] },
+  postsPerHour: { type: Number, default: 0 },
+  maxTotal: { type: Number, default: 0 },
+  posted: { type: Number, default: 0 },
+  postedByPlatform: { type: Object, default: {} },
+  status: { type: String, enum: ['active','completed'], default: 'active' },
+  endedAt: { type: Date, default: null },
+  endReason: { type: String, default: null }
+}, { timestamps: true, collection: 'burstsessions' });
+
+BurstSessionSchema.index({ status: 1, windowStart: -1 });
+
+export default mongoose.models.BurstSession || mongoose.model('BurstSession', BurstSessionSchema);
@@ -0,0 +1,9 @@
+import mongoose from 'mongoose';
+
+// Named monotonic sequences shared by all instances
+const CounterSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, default: 0 }
+}, { collection: 'counters', versionKey: false });
+
+export default mongoose.models.Counter || mongoose.model('Counter', CounterSchema);
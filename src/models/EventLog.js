@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// Dashboard event stream store. The collection is created capped at startup
+// (see ensureEventStore), so autoCreate/autoIndex are off to keep Mongoose from
+// creating a plain collection first.
+const EventLogSchema = new mongoose.Schema({
+  seq: { type: Number, required: true, unique: true },
+  type: { type: String, required: true },
+  platform: { type: String, default: null },
+  message: { type: String, default: '' },
+  meta: { type: Object, default: {} },
+  ts: { type: Number, required: true }
+}, { collection: 'eventlogs', autoCreate: false, autoIndex: false, versionKey: false });
+
+export default mongoose.models.EventLog || mongoose.model('EventLog', EventLogSchema);
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+const PostMetricSchema = new mongoose.Schema({
+  postId: { type: mongoose.Schema.Types.ObjectId, ref: 'PostQueue', required: true },
+  platform: { type: String, enum: ['instagram','youtube'], required: true },
+  remoteId: { type: String, required: true },
+  checkpoint: { type: String, required: true },
+  collectedAt: { type: Date, default: () => new Date() },
+  likes: { type: Number, default: null },
+  comments: { type: Number, default: null },
+  views: { type: Number, default: null },
+  reach: { type: Number, default: null }
+}, { collection: 'postmetrics' });
+
+PostMetricSchema.index({ postId: 1, checkpoint: 1 }, { unique: true });
+PostMetricSchema.index({ platform: 1, collectedAt: -1 });
+
+export default mongoose.models.PostMetric || mongoose.model('PostMetric', PostMetricSchema);
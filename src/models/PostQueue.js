@@ -6,17 +6,37 @@ const PostQueueSchema = new mongoose.Schema({
   sourceUrl: { type: String },
   caption: { type: String, default: '' },
   captionNorm: { type: String, default: '' },
+  // source caption once `caption` holds a generated one (see lib/captions.js)
+  originalCaption: { type: String, default: null },
   engagement: { type: Object, default: { likes: 0, comments: 0, views: 0 } },
   status: { type: String, enum: ['queued','scheduled','posting','posted','failed','skipped'], default: 'queued' },
   scheduledAt: { type: Date, default: null },
   postedAt: { type: Date, default: null },
+  // pHash of the cover / first keyframe; frameHashes holds { ahash, phash } for every hashed image
   visualHash: { type: String, default: null },
+  frameHashes: { type: Array, default: [] },
   audioKey: { type: String, default: null },
   durationSec: { type: Number, default: null },
+  // container metadata read from the uploaded file (dimensions, rotation, codec, fps, bitrate)
+  video: { type: Object, default: null },
+  // provider-prefixed hash of the source file (e.g. dropbox:<content_hash>) so re-uploads are not queued twice
+  contentHash: { type: String, default: null },
+  // manual ordering: higher priority is picked first. Pinned queued items are scheduled ahead of everything
+  // else and never auto-skipped; pinned scheduled items keep their time (move will not swap with them)
+  priority: { type: Number, default: 0 },
+  pinned: { type: Boolean, default: false },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  lastAttemptAt: { type: Date, default: null },
+  failedAt: { type: Date, default: null },
+  // latest measured metrics after publishing, and which checkpoints have been collected
+  performance: { type: Object, default: null },
+  metricsCheckpoints: { type: [String], default: [] },
   meta: { type: Object, default: {} }
 }, { timestamps: true, collection: 'postqueue' });
 
 PostQueueSchema.index({ status: 1, scheduledAt: 1 });
 PostQueueSchema.index({ platform: 1, postedAt: -1 });
+PostQueueSchema.index({ contentHash: 1, platform: 1 }, { sparse: true });
 
 export default mongoose.models.PostQueue || mongoose.model('PostQueue', PostQueueSchema);
@@ -4,12 +4,17 @@ const PostedMemoSchema = new mongoose.Schema({
   platform: { type: String, enum: ['instagram','youtube'], required: true },
   postedAt: { type: Date, required: true },
   visualHash: { type: String, default: null },
+  frameHashes: { type: Array, default: [] },
   captionNorm: { type: String, default: '' },
   audioKey: { type: String, default: null },
-  durationSec: { type: Number, default: null }
+  durationSec: { type: Number, default: null },
+  postId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  // last hash backfill that found no hashed item for this memo
+  hashBackfillAt: { type: Date, default: null }
 }, { timestamps: true, collection: 'postedmemo' });
 
 PostedMemoSchema.index({ platform: 1, postedAt: -1 });
 PostedMemoSchema.index({ platform: 1, visualHash: 1, postedAt: -1 });
+PostedMemoSchema.index({ createdAt: 1 });
 
 export default mongoose.models.PostedMemo || mongoose.model('PostedMemo', PostedMemoSchema);
@@ -14,12 +14,13 @@ const SettingsSchema = new mongoose.Schema({
   manual: { type: Boolean, default: true },
   dailyLimit: { type: Number, default: 5 },
   hourlyLimit: { type: Number, default: 3 },
-  timeZone: { type: String, default: 'America/Chicago' },
+  timeZone: { type: String, default: () => process.env.TIMEZONE || 'America/Chicago' },
   postTime: { type: String, default: '14:00' },
   peakHours: { type: Boolean, default: true },
   // UI mirrors and additional fields
   maxPosts: { type: Number, default: 5 },
-  repostDelay: { type: Number, default: 1 },
+  repostDelay: { type: Number, default: 1 }, // days a repost waits after its source was originally posted
+  minPostGapMinutes: { type: Number, default: 60 },
   minimumIGLikesToRepost: { type: Number, default: 0 },
   // Last-N window (primary)
   recentPostsToCheck: { type: Number, default: 30 },
@@ -27,17 +28,29 @@ const SettingsSchema = new mongoose.Schema({
   recentPostsWindowCount: { type: Number, default: 30 },
   visualSimilarityRecentPosts: { type: Number, default: 30 },
   visualSimilarityDays: { type: Number, default: 30 },
+  // Dedupe engine: windowType 'lastN' | 'days', crossPlatform, audioMatch, thresholds per platform
+  dedupeConfig: { type: Object, default: () => ({ windowType: 'lastN', crossPlatform: false, audioMatch: false, thresholds: {} }) },
   autopilotPlatforms: { type: Object, default: { instagram: true, youtube: true } },
   trendingAudio: { type: Boolean, default: true },
   aiCaptions: { type: Boolean, default: true },
+  // Caption pipeline: per-platform templates ({caption} {title} {hashtags} {platform}), hashtag sets and
+  // how many of them go on each post, plus the OpenAI model and extra instructions for rewrites
+  captionConfig: { type: Object, default: () => ({ templates: {}, hashtags: {}, hashtagCount: {}, model: '', instructions: '' }) },
   dropboxSave: { type: Boolean, default: false },
+  dropboxFolder: { type: String, default: '' }, // folder synced into the queue ('' = root)
+  googleDriveFolderId: { type: String, default: '' },
   burstModeEnabled: { type: Boolean, default: false },
   burstModeConfig: { type: BurstConfigSchema, default: {} },
   scrapeLimit: { type: Number, default: 500 },
+  // Publish retries
+  maxPostAttempts: { type: Number, default: 3 },
+  retryBackoffMinutes: { type: Number, default: 5 },
   // Credentials
   instagramToken: String,
   igBusinessId: String,
   facebookPageId: String,
+  facebookAppId: String,
+  facebookAppSecret: String,
   youtubeAccessToken: String,
   youtubeRefreshToken: String,
   youtubeChannelId: String,
@@ -50,7 +63,11 @@ const SettingsSchema = new mongoose.Schema({
   s3Region: String,
   mongoURI: String,
   dropboxToken: String,
-  runwayApiKey: String
+  runwayApiKey: String,
+  // Token lifecycle (set by refresh / long-lived exchange)
+  youtubeTokenExpiresAt: { type: Date, default: null },
+  instagramTokenExpiresAt: { type: Date, default: null },
+  instagramTokenRenewedAt: { type: Date, default: null }
 }, { timestamps: true, collection: 'settings' });
 
 export default mongoose.models.Settings || mongoose.model('Settings', SettingsSchema);
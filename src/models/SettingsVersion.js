@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// One row per settings change: the fields that changed and the full (credential-free) state after it
+const SettingsVersionSchema = new mongoose.Schema({
+  version: { type: Number, required: true, unique: true },
+  actor: { type: String, default: null },
+  source: { type: String, default: 'settings' }, // settings | burst | burst_config | rollback | baseline
+  rollbackOf: { type: Number, default: null },
+  changes: { type: Array, default: [] }, // [{ field, from, to }]
+  snapshot: { type: Object, default: {} },
+  changedAt: { type: Date, default: () => new Date() }
+}, { collection: 'settingsversions', versionKey: false });
+
+SettingsVersionSchema.index({ changedAt: -1 });
+
+export default mongoose.models.SettingsVersion || mongoose.model('SettingsVersion', SettingsVersionSchema);
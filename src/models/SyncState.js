@@ -0,0 +1,12 @@
+import mongoose from 'mongoose';
+
+// Incremental sync position per source folder (Dropbox cursor, Drive page token) and the last run's report
+const SyncStateSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // e.g. dropbox:/videos
+  provider: { type: String, required: true },
+  cursor: { type: String, default: null },
+  lastRunAt: { type: Date, default: null },
+  lastReport: { type: Object, default: null }
+}, { timestamps: true, collection: 'syncstates' });
+
+export default mongoose.models.SyncState || mongoose.model('SyncState', SyncStateSchema);
@@ -11,32 +11,126 @@ import PostQueue from './models/PostQueue.js';
 import PostedMemo from './models/PostedMemo.js';
 import PostingLock from './models/PostingLock.js';
 import ActivityLog from './models/ActivityLog.js';
+import AuditLog from './models/AuditLog.js';
+import SettingsVersion from './models/SettingsVersion.js';
+import Counter from './models/Counter.js';
+import SyncState from './models/SyncState.js';
+import BurstSession from './models/BurstSession.js';
+import AnalyticsSnapshot from './models/AnalyticsSnapshot.js';
+import PostMetric from './models/PostMetric.js';
+
+import { publish, mediaUrlFor, maxPublishMs } from './lib/publishers/index.js';
+import { s3Config, s3MulterStorage, deleteObject } from './lib/s3.js';
+import { createVideoProbe, checkPlatformSpec, videoMeta } from './lib/videoProbe.js';
+import { hashImages, MAX_FRAMES } from './lib/visualHash.js';
+import { backfillHashes } from './lib/hashBackfill.js';
+import { HttpError } from './lib/http.js';
+import { normalizeCaption, checkDuplicate, createDedupeSession, recordPostedMemo } from './lib/dedupe.js';
+import { SECRET_FIELDS, revealSecret, sealSecrets, encryptionEnabled, isEncrypted, rotateCredentials } from './lib/credentials.js';
+import { youtubeAccessToken, canRefreshYouTube, renewInstagramToken } from './lib/tokens.js';
+import { validateIntegrations } from './lib/validateApis.js';
+import { syncDropboxFolder } from './lib/dropbox.js';
+import { syncDriveFolder } from './lib/googleDrive.js';
+import { harvestInstagram, instagramCaptions, instagramConfigured } from './lib/instagramHarvest.js';
+import { generateCaption, captionUpdate, scheduledCaption, SCHEDULE_AI_BUDGET_MS } from './lib/captions.js';
+import { importTracks, rankTracks, createAudioRotation, audioHistory } from './lib/audio.js';
+import { validateSettingsPatch, validateBurstConfig, settingsSnapshot, diffSettings, VERSIONED_FIELDS } from './lib/settingsSchema.js';
+import { graphApiBase, youtubeApiBase } from './lib/apiBase.js';
+import { retryDecision } from './lib/retry.js';
+import { resolveTimeZone, zonedParts, zonedTimeToUtc, addZonedDays, startOfZonedDay } from './lib/time.js';
+import { PLATFORMS, getCapState, canPost, consume, summarizeCaps } from './lib/caps.js';
+import { burstWindowAt, burstPlatforms, inPreload, sessionRemaining, projectFinish } from './lib/burst.js';
+import { buildSlots, assignCandidates, candidateScore, slotViolations, repostReadyAt } from './lib/planner.js';
+import { WEIGHTS, DAY_LABELS, computeHeatmap, rankSlots, preferredHoursFrom } from './lib/heatmap.js';
+import { fetchInstagramEngagement, RANGES, bucketLabels, seriesFor, growth } from './lib/analytics.js';
+import { CHECKPOINTS, fetchPostMetrics, liftPct } from './lib/postMetrics.js';
+import { authenticate, auditTrail, requireRole, authConfigured, authOpen, signToken, redactUrl, ROLES } from './lib/auth.js';
+import { ensureEventStore, appendEvent, startEventTail, subscribe, eventsAfter, recentEvents, parseEventFilter, unknownTypesError, matchesFilter, createSeenSeqs } from './lib/events.js';
 
 dotenv.config();
 
 const app = express();
+// Express 4 ignores rejected promises from async handlers; send them to the error handler at the bottom
+for (const method of ['get', 'post', 'put', 'patch', 'delete']) {
+  const register = app[method].bind(app);
+  app[method] = (path, ...handlers) => (handlers.length ? register(path, ...handlers.map(h => (typeof h === 'function' && h.length < 4 ? (req, res, next) => Promise.resolve(h(req, res, next)).catch(next) : h))) : register(path));
+}
 app.use(express.json({ limit: '10mb' }));
+// the default :url token would log ?access_token= keys
+morgan.token('url', (req) => redactUrl(req.originalUrl || req.url));
 app.use(morgan('dev'));
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 * 1024 } });
+// Video uploads stream straight to S3-compatible storage (multipart), one part in memory at a time;
+// cover / keyframe images sent alongside stay in memory for hashing
+const memoryStorage = multer.memoryStorage();
+const videoStorage = s3MulterStorage(async () => s3Config(await getOrCreateSettings()), { probe: createVideoProbe });
+const uploadLimits = { fileSize: Math.max(1, Number(process.env.UPLOAD_MAX_MB) || 1024) * 1024 * 1024, files: 2 + MAX_FRAMES };
+const videoFieldTo = (storage) => {
+  const storageFor = (file) => (file.fieldname === 'file' ? storage : memoryStorage);
+  return {
+    _handleFile: (req, file, cb) => storageFor(file)._handleFile(req, file, cb),
+    _removeFile: (req, file, cb) => storageFor(file)._removeFile(req, file, cb)
+  };
+};
+const s3Upload = multer({ storage: videoFieldTo(videoStorage), limits: uploadLimits });
+// Analysis only: the video is probed as it streams in and discarded; images stay in memory
+const probeStorage = {
+  _handleFile(req, file, cb) {
+    const probe = createVideoProbe();
+    let size = 0;
+    file.stream.on('data', (chunk) => {
+      size += chunk.length;
+      probe.push(chunk);
+    });
+    file.stream.on('error', cb);
+    file.stream.on('end', () => {
+      try {
+        cb(null, { size, probe: probe.finish(size) });
+      } catch (e) {
+        cb(null, { size, probe: null, probeError: e.message });
+      }
+    });
+  },
+  _removeFile: (req, file, cb) => cb(null)
+};
+const analyzeUpload = multer({ storage: videoFieldTo(probeStorage), limits: uploadLimits });
 
 const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(s => s.trim()).filter(Boolean);
 app.use(cors({
   origin: (origin, cb) => cb(null, !origin || corsOrigins.length === 0 || corsOrigins.some(o => origin.includes(o))),
   methods: ['GET','POST','OPTIONS'],
-  allowedHeaders: ['Content-Type','Authorization'],
+  allowedHeaders: ['Content-Type','Authorization','Last-Event-ID'],
   credentials: false
 }));
+app.use('/api', authenticate, auditTrail);
 
 const PORT = process.env.PORT || 3001;
 const MONGO_URI = process.env.MONGO_URI || process.env.MONGODB_URI || '';
 const TIMEZONE = process.env.TIMEZONE || 'America/Chicago';
 const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY || '';
 
+if (!authConfigured()) {
+  console.warn(authOpen()
+    ? '⚠️ AUTH_OPEN is set and neither API_KEYS nor AUTH_TOKEN_SECRET is. The API is open to anyone who can reach it.'
+    : '⚠️ Neither API_KEYS nor AUTH_TOKEN_SECRET is set. Every API request is refused until one is (or AUTH_OPEN=true for local development).');
+}
+
 if (!MONGO_URI) {
   console.warn('⚠️ MONGO_URI is not set. API will start but DB calls will fail.');
 }
 
 await mongoose.connect(MONGO_URI).catch(err => console.error('Mongo connect error:', err.message));
+await ensureEventStore().then(startEventTail).catch(err => console.error('Event store init error:', err.message));
+
+// Credentials are stored encrypted under CREDENTIALS_KEY. On startup anything still in
+// plain text or under an old key (CREDENTIALS_OLD_KEYS) is re-encrypted.
+if (encryptionEnabled()) {
+  await rotateCredentials().then(r => {
+    if (r.reencrypted || r.encryptedPlain) console.log(`Credentials re-encrypted under key ${r.keyId}: ${r.reencrypted} rotated, ${r.encryptedPlain} were plain text`);
+    if (r.failed.length) console.error('Credentials that could not be decrypted:', r.failed.map(f => f.field).join(', '));
+  }).catch(err => console.error('Credential rotation error:', err.message));
+} else {
+  console.warn('⚠️ CREDENTIALS_KEY is not set. Credentials cannot be saved through the API.');
+}
 
 // Helpers
 async function getOrCreateSettings() {
@@ -45,64 +139,97 @@ async function getOrCreateSettings() {
   return s;
 }
 
-function normalizeCaption(caption = '') {
-  return String(caption)
-    .toLowerCase()
-    .replace(/[\u{1F600}-\u{1F6FF}]/gu, '')
-    .replace(/https?:\/\/\S+/g, '')
-    .replace(/[^a-z0-9\s#]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+async function nextSequence(name) {
+  const { seq } = await Counter.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { upsert: true, new: true }).lean();
+  return seq;
 }
 
-function hammingDistanceHex(a, b) {
-  if (!a || !b) return 9999;
-  const aNum = BigInt('0x' + a);
-  const bNum = BigInt('0x' + b);
-  let x = aNum ^ bNum;
-  let dist = 0;
-  while (x) { dist += Number(x & 1n); x >>= 1n; }
-  return dist;
+// Every settings write goes through here: $set the validated update and store a
+// versioned snapshot with the diff. The first change also records the prior state as a baseline.
+async function applySettingsChange(s, update, { actor = null, source = 'settings', rollbackOf = null } = {}) {
+  const before = s.toObject();
+  // compare credentials by plain value; a value that no longer decrypts counts as changed
+  const comparable = { ...before };
+  for (const f of SECRET_FIELDS) if (f in update) { try { comparable[f] = revealSecret(before, f); } catch { comparable[f] = null; } }
+  const changes = diffSettings(comparable, update, Object.keys(update));
+  if (!changes.length) return { changes, version: null };
+  await Settings.updateOne({ _id: s._id }, { $set: sealSecrets(update) });
+  const after = await Settings.findById(s._id).lean();
+  if (!(await SettingsVersion.exists({}))) {
+    await SettingsVersion.create({ version: await nextSequence('settingsVersion'), actor: 'system', source: 'baseline', snapshot: settingsSnapshot(before), changedAt: before.updatedAt || new Date() });
+  }
+  const v = await SettingsVersion.create({ version: await nextSequence('settingsVersion'), actor, source, rollbackOf, changes, snapshot: settingsSnapshot(after) });
+  return { changes, version: v.version };
 }
 
-function cosineSimFromTokens(a, b) {
-  const ta = new Map();
-  const tb = new Map();
-  for (const t of a.split(' ')) ta.set(t, (ta.get(t) || 0) + 1);
-  for (const t of b.split(' ')) tb.set(t, (tb.get(t) || 0) + 1);
-  const all = new Set([...ta.keys(), ...tb.keys()]);
-  let dot = 0, na = 0, nb = 0;
-  all.forEach(k => { const va = ta.get(k) || 0; const vb = tb.get(k) || 0; dot += va * vb; na += va * va; nb += vb * vb; });
-  if (na === 0 || nb === 0) return 0;
-  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+function validationFailed(res, errors) {
+  return res.status(400).json({ success: false, error: 'Validation failed', errors });
 }
 
-function ctNowHHmm() {
+// Burst sessions: one per window occurrence, opened while the window is active and
+// closed when it ends, when maxTotal is reached or when Burst Mode is switched off
+async function syncBurstSession(s, now = new Date()) {
+  await BurstSession.updateMany({ status: 'active', windowEnd: { $lte: now } }, { $set: { status: 'completed', endedAt: now, endReason: 'window_end' } });
+  if (!s.burstModeEnabled) {
+    await BurstSession.updateMany({ status: 'active' }, { $set: { status: 'completed', endedAt: now, endReason: 'disabled' } });
+    return { window: null, session: null };
+  }
+  const cfg = s.burstModeConfig || {};
+  const window = burstWindowAt(cfg, resolveTimeZone(s), now);
+  if (!window?.active) return { window, session: null };
+  const init = { windowEnd: window.end, platforms: burstPlatforms(cfg), postsPerHour: cfg.postsPerHour || 0, maxTotal: cfg.maxTotal || 0 };
+  let session;
   try {
-    return new Intl.DateTimeFormat('en-US', { timeZone: 'America/Chicago', hour: '2-digit', minute: '2-digit', hour12: false }).format(new Date());
+    session = await BurstSession.findOneAndUpdate({ windowStart: window.start }, { $setOnInsert: init }, { upsert: true, new: true, includeResultMetadata: true });
+    if (session?.lastErrorObject?.upserted) {
+      await ActivityLog.create({ type: 'burst', status: 'info', message: 'Burst session started', data: { sessionId: session.value._id, windowStart: window.start, windowEnd: window.end, platforms: init.platforms } });
+    }
+    session = session?.value?.toObject() || null;
   } catch {
-    return new Intl.DateTimeFormat('en-US', { hour: '2-digit', minute: '2-digit', hour12: false }).format(new Date());
+    // lost an upsert race with another instance
+    session = await BurstSession.findOne({ windowStart: window.start }).lean();
   }
+  return { window, session };
 }
 
-function isCtNowWithinWindow(startHHmm, endHHmm) {
-  if (!startHHmm || !endHHmm) return false;
-  const now = ctNowHHmm();
-  // Compare strings like "18:00" lexicographically since fixed HH:mm format
-  if (startHHmm <= endHHmm) {
-    return now >= startHHmm && now < endHHmm;
-  }
-  // window crosses midnight
-  return now >= startHHmm || now < endHHmm;
+// Cap budget for this moment; a running burst session replaces the hourly cap and
+// lifts the daily one, but only for the platforms it covers
+async function currentCapState(s, now = new Date()) {
+  const burst = await syncBurstSession(s, now);
+  const burstActive = burst.session?.status === 'active';
+  const burstScope = burstActive ? burst.session.platforms : [];
+  const perHour = burst.session?.postsPerHour || s.hourlyLimit;
+  const hourlyOverrides = Object.fromEntries(burstScope.map(p => [p, perHour]));
+  const state = await getCapState(s, { now, hourlyOverrides, skipDaily: burstScope });
+  return { ...state, burstActive, burst };
+}
+
+function describeBurstSession(session, now = new Date()) {
+  if (!session) return null;
+  return {
+    id: session._id,
+    status: session.status,
+    windowStart: session.windowStart,
+    windowEnd: session.windowEnd,
+    platforms: session.platforms,
+    postsPerHour: session.postsPerHour,
+    maxTotal: session.maxTotal,
+    posted: session.posted || 0,
+    postedByPlatform: session.postedByPlatform || {},
+    remaining: sessionRemaining(session),
+    projectedFinish: projectFinish(session, now),
+    endedAt: session.endedAt,
+    endReason: session.endReason
+  };
 }
 
 // External API helpers (Instagram Graph, YouTube Data)
 async function fetchInstagramFollowers(settings) {
   try {
-    const token = settings.instagramToken;
     const igId = settings.igBusinessId;
-    if (!token || !igId) return { followers: 0, connected: false };
-    const url = `https://graph.facebook.com/v20.0/${encodeURIComponent(igId)}?fields=followers_count&access_token=${encodeURIComponent(token)}`;
+    if (!settings.instagramToken || !igId) return { followers: 0, connected: false };
+    const token = revealSecret(settings, 'instagramToken');
+    const url = `${graphApiBase()}/${encodeURIComponent(igId)}?fields=followers_count&access_token=${encodeURIComponent(token)}`;
     const res = await fetch(url);
     if (!res.ok) return { followers: 0, connected: false };
     const j = await res.json();
@@ -116,9 +243,9 @@ async function fetchInstagramFollowers(settings) {
 async function fetchYouTubeStats(settings) {
   try {
     const channelId = settings.youtubeChannelId;
-    const accessToken = settings.youtubeAccessToken;
+    const accessToken = await youtubeAccessToken(settings);
     if (!channelId && !YOUTUBE_API_KEY) return { subscribers: 0, views: 0, watchTimeHours: 0, connected: false };
-    let url = `https://www.googleapis.com/youtube/v3/channels?part=statistics&id=${encodeURIComponent(channelId || '')}`;
+    let url = `${youtubeApiBase()}/youtube/v3/channels?part=statistics&id=${encodeURIComponent(channelId || '')}`;
     const headers = {};
     if (accessToken) {
       headers['Authorization'] = `Bearer ${accessToken}`;
@@ -138,23 +265,13 @@ async function fetchYouTubeStats(settings) {
   }
 }
 
-async function getLastNPosted(platform, n) {
-  return PostedMemo.find({ platform }).sort({ postedAt: -1 }).limit(n).lean();
-}
-
-async function isDuplicateCandidate(candidate, settings) {
-  const windowN = settings.recentPostsWindowCount || 30;
-  const recent = await getLastNPosted(candidate.platform, windowN);
-  const captionNorm = normalizeCaption(candidate.caption || candidate.captionNorm || '');
-  for (const item of recent) {
-    const hamming = hammingDistanceHex(candidate.visualHash, item.visualHash);
-    if (hamming <= 8) return { duplicate: true, reason: 'duplicate_visual' };
-    const capSim = cosineSimFromTokens(captionNorm, item.captionNorm || '');
-    if (capSim >= 0.92) return { duplicate: true, reason: 'duplicate_caption' };
-    const durDelta = Math.abs((candidate.durationSec || 0) - (item.durationSec || 0));
-    if (capSim >= 0.85 && durDelta <= 1) return { duplicate: true, reason: 'duplicate_caption_duration' };
-  }
-  return { duplicate: false };
+// Park the losing duplicate as `skipped`, recording the rule and the item it clashed with
+async function markDuplicateSkipped(item, dup, { stage = 'schedule', message = 'Skipped duplicate' } = {}) {
+  const duplicateOf = dup.match ? { id: dup.match.id, source: dup.match.source, platform: dup.match.platform, rules: dup.match.rules } : null;
+  item.status = 'skipped';
+  item.meta = { ...(item.meta || {}), skipReason: dup.reason, duplicateOf };
+  await item.save();
+  await ActivityLog.create({ type: stage, platform: item.platform, status: 'warning', message, data: { id: item._id, reason: dup.reason, duplicateOf } });
 }
 
 // Seed demo candidates on first run
@@ -199,67 +316,260 @@ async function tryAcquireLock(key, ttlSec) {
   }
 }
 
-async function scheduleRefill(threshold = 3) {
+function enabledPlatforms(s) {
+  return PLATFORMS.filter(p => s.autopilotPlatforms?.[p] !== false);
+}
+
+// Scheduled, in-flight and posted times in [from, to) that planned slots must respect
+async function loadOccupied(from, to) {
+  const docs = await PostQueue.find({ $or: [
+    { status: { $in: ['scheduled','posting'] }, scheduledAt: { $gte: from, $lt: to } },
+    { status: 'posted', postedAt: { $gte: from, $lt: to } }
+  ] }, { platform: 1, status: 1, scheduledAt: 1, postedAt: 1 }).lean();
+  return docs.map(d => ({ id: d._id, platform: d.platform, at: d.status === 'posted' ? d.postedAt : d.scheduledAt }));
+}
+
+// Measured performance once tracked, otherwise the source engagement the item was picked on
+function postScore(item) {
+  return candidateScore(item.performance ? { engagement: item.performance } : item);
+}
+
+// Weekly heatmap from posted items, cached per platform/timezone/lookback
+const heatmapCache = new Map();
+const HEATMAP_TTL_MS = 15 * 60 * 1000;
+
+async function getHeatmap(s, { platform = 'all', lookbackDays = 90 } = {}) {
+  const timeZone = resolveTimeZone(s);
+  const key = `${platform}|${timeZone}|${lookbackDays}`;
+  const hit = heatmapCache.get(key);
+  if (hit && Date.now() - hit.at < HEATMAP_TTL_MS) return hit.heat;
+  const filter = { status: 'posted', postedAt: { $gte: new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000) } };
+  if (platform !== 'all') filter.platform = platform;
+  const posts = await PostQueue.find(filter, { postedAt: 1, engagement: 1, performance: 1, platform: 1 }).lean();
+  const heat = { ...computeHeatmap(posts, { timeZone, score: postScore }), timeZone, platform, lookbackDays, generatedAt: new Date().toISOString() };
+  heatmapCache.set(key, { at: Date.now(), heat });
+  return heat;
+}
+
+async function preferredHoursByPlatform(s, platforms) {
+  const out = {};
+  for (const p of platforms) {
+    const hours = preferredHoursFrom(await getHeatmap(s, { platform: p }));
+    if (hours) out[p] = hours;
+  }
+  return out;
+}
+
+async function buildPlan(s, { days = 3, platforms = enabledPlatforms(s), now = new Date() } = {}) {
+  const timeZone = resolveTimeZone(s);
+  const from = startOfZonedDay(now, timeZone);
+  const to = zonedTimeToUtc(addZonedDays(zonedParts(now, timeZone), days), timeZone);
+  const occupied = await loadOccupied(from, to);
+  const preferredHours = s.peakHours ? await preferredHoursByPlatform(s, platforms) : {};
+  const slots = buildSlots({ settings: s, timeZone, now, days, platforms, occupied, preferredHours });
+  return { timeZone, from, to, slots };
+}
+
+// Hands out the planner's free slots in time order, one platform at a time
+async function slotPicker(s, now = new Date()) {
+  const { slots } = await buildPlan(s, { days: 2, now });
+  return (platform, notBefore = 0) => {
+    const i = slots.findIndex(x => x.platform === platform && new Date(x.at).getTime() >= notBefore);
+    return i === -1 ? null : slots.splice(i, 1)[0].at;
+  };
+}
+
+// opts.platform scopes counting and candidates; opts.before only counts items scheduled
+// earlier than it; opts.slotAt(i) picks the time for the i-th scheduled item
+async function scheduleRefill(threshold = 3, { platform = null, before = null, slotAt = null } = {}) {
   const s = await getOrCreateSettings();
-  const scheduledCount = await PostQueue.countDocuments({ status: 'scheduled' });
+  const scope = platform ? { platform } : {};
+  const scheduledFilter = { status: 'scheduled', ...scope, ...(before ? { scheduledAt: { $lt: before } } : {}) };
+  const scheduledCount = await PostQueue.countDocuments(scheduledFilter);
   let added = 0;
+  let skipped = 0;
   if (scheduledCount < threshold) {
     const need = threshold - scheduledCount;
-    const candidates = await PostQueue.find({ status: 'queued' }).sort({ 'engagement.likes': -1 }).limit(100);
+    // pinned queued items go first and skip the likes gate; they are never auto-skipped as duplicates
+    const candidates = await PostQueue.find({ status: 'queued', ...scope }).sort({ pinned: -1, priority: -1, 'engagement.likes': -1 }).limit(100);
+    const pickSlot = slotAt ? null : await slotPicker(s);
+    const dedupe = createDedupeSession(s);
+    const audio = createAudioRotation(s);
+    const aiUntil = Date.now() + SCHEDULE_AI_BUDGET_MS;
     for (const cand of candidates) {
-      if (cand.platform === 'instagram' && (cand.engagement?.likes || 0) < s.minimumIGLikesToRepost) continue;
-      const dup = await isDuplicateCandidate(cand, s);
+      if (!cand.pinned && cand.platform === 'instagram' && (cand.engagement?.likes || 0) < s.minimumIGLikesToRepost) continue;
+      const dup = await dedupe.check(cand);
       if (dup.duplicate) {
-        cand.status = 'skipped';
-        await cand.save();
-        await ActivityLog.create({ type: 'schedule', platform: cand.platform, status: 'warning', message: 'Skipped duplicate', data: { reason: dup.reason } });
+        if (!cand.pinned) {
+          await markDuplicateSkipped(cand, dup);
+          skipped++;
+        }
         continue;
       }
-      cand.captionNorm = normalizeCaption(cand.caption || '');
+      // no free slot within caps for this platform (after the repost delay) in the planning horizon
+      const readyAt = repostReadyAt(cand, s.repostDelay);
+      const at = slotAt ? slotAt(scheduledCount + added) : pickSlot(cand.platform, readyAt);
+      if (!at || new Date(at).getTime() < readyAt) continue;
+      cand.captionNorm = normalizeCaption(cand.originalCaption ?? cand.caption ?? '');
       cand.status = 'scheduled';
-      cand.scheduledAt = new Date(Date.now() + (added * 60 + 30) * 1000);
+      cand.scheduledAt = at;
+      const caption = await scheduledCaption(s, cand, { aiUntil });
+      if (caption) cand.set(caption);
+      const track = await audio.assign(cand);
+      if (track) cand.set(track);
       await cand.save();
+      await audio.record(track);
+      dedupe.add(cand);
       added++;
       pushEvent({ type: 'schedule', platform: cand.platform, message: 'Scheduled', meta: { id: cand._id, at: cand.scheduledAt } });
       await ActivityLog.create({ type: 'schedule', platform: cand.platform, status: 'success', message: 'Scheduled', data: { id: cand._id } });
       if (added >= need) break;
     }
   }
-  return { added, scheduledCount: await PostQueue.countDocuments({ status: 'scheduled' }), threshold };
+  return { added, skipped, scheduledCount: await PostQueue.countDocuments(scheduledFilter), threshold };
 }
 
-async function postDueWithCaps() {
+// Fill the first hour of an upcoming (or running) burst window at postsPerHour spacing,
+// starting preloadMinutes before it opens, so the burst starts at full speed
+async function preloadBurst(now = new Date()) {
   const s = await getOrCreateSettings();
-  const burstActive = s.burstModeEnabled && isCtNowWithinWindow(s.burstModeConfig?.startTime, s.burstModeConfig?.endTime);
-  const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
-  const perPlatformTotals = { instagram: 0, youtube: 0 };
-  // posted in the last hour per platform
-  perPlatformTotals.instagram = await PostQueue.countDocuments({ platform: 'instagram', status: 'posted', postedAt: { $gte: hourAgo } });
-  perPlatformTotals.youtube = await PostQueue.countDocuments({ platform: 'youtube', status: 'posted', postedAt: { $gte: hourAgo } });
-  const hourlyLimit = burstActive ? (s.burstModeConfig?.postsPerHour || s.hourlyLimit) : s.hourlyLimit;
+  const cfg = s.burstModeConfig || {};
+  const perHour = Number(cfg.postsPerHour) || 0;
+  if (!s.burstModeEnabled || perHour <= 0) return { added: 0 };
+  const window = burstWindowAt(cfg, resolveTimeZone(s), now);
+  if (!inPreload(window, cfg.preloadMinutes, now)) return { added: 0 };
+  const session = window.active ? await BurstSession.findOne({ windowStart: window.start }).lean() : null;
+  if (session?.status === 'completed') return { added: 0 };
+  let remainingTotal = session ? sessionRemaining(session) : (cfg.maxTotal > 0 ? cfg.maxTotal : null);
+  const from = Math.max(now.getTime(), window.start.getTime());
+  const before = new Date(Math.min(from + 60 * 60 * 1000, window.end.getTime()));
+  const gapMs = (60 * 60 * 1000) / perHour;
+  let added = 0;
+  for (const platform of burstPlatforms(cfg)) {
+    if (remainingTotal !== null && remainingTotal <= 0) break;
+    const threshold = remainingTotal === null ? perHour : Math.min(perHour, remainingTotal);
+    const r = await scheduleRefill(threshold, { platform, before, slotAt: (i) => new Date(from + i * gapMs) });
+    added += r.added;
+    if (remainingTotal !== null) remainingTotal -= r.added;
+  }
+  if (added > 0) {
+    await ActivityLog.create({ type: 'burst', status: 'info', message: 'Preloaded burst window', data: { added, windowStart: window.start } });
+  }
+  return { added };
+}
+
+// Publish one item through its platform publisher: scheduled -> posting -> posted | failed
+async function publishItem(item, s) {
+  item.status = 'posting'; item.lastAttemptAt = new Date(); await item.save();
+  let out;
+  try {
+    out = await publish(item, s, item.platform === 'youtube' ? { accessToken: await youtubeAccessToken(s) } : {});
+  } catch (e) {
+    const error = String(e?.message || e);
+    // a rejected token is refreshed now so the retry goes out with a new one
+    if (item.platform === 'youtube' && e?.status === 401) await youtubeAccessToken(s, { force: true }).catch(() => {});
+    const retry = await recordAttemptFailure(item, s, error);
+    return { ok: false, error, retry };
+  }
+  // The post is live: a bookkeeping error from here on must not count as a failed attempt, or the retry publishes it again
+  item.status = 'posted'; item.postedAt = new Date();
+  item.attempts = (item.attempts || 0) + 1; item.lastError = null;
+  item.meta = { ...(item.meta || {}), remoteId: out.remoteId, permalink: out.permalink, error: null };
+  try {
+    await item.save();
+  } catch (e) {
+    console.warn('publish bookkeeping:', e.message);
+    await PostQueue.updateOne({ _id: item._id }, { $set: { status: 'posted', postedAt: item.postedAt, 'meta.remoteId': out.remoteId, 'meta.permalink': out.permalink } }).catch(() => {});
+  }
+  try {
+    const memo = await PostedMemo.create({ postId: item._id, platform: item.platform, postedAt: item.postedAt, visualHash: item.visualHash, frameHashes: item.frameHashes, captionNorm: item.captionNorm, durationSec: item.durationSec, audioKey: item.audioKey });
+    recordPostedMemo(memo);
+    pushEvent({ type: 'post_success', platform: item.platform, message: 'Posted 1 item', meta: { id: item._id, postedAt: item.postedAt, remoteId: out.remoteId, permalink: out.permalink } });
+    await ActivityLog.create({ type: 'post', platform: item.platform, status: 'success', message: 'Posted', data: { id: item._id, remoteId: out.remoteId, permalink: out.permalink } });
+  } catch (e) {
+    console.warn('publish bookkeeping:', e.message);
+  }
+  return { ok: true, ...out };
+}
+
+// Count a failed attempt: back off and reschedule, or park the item as terminal `failed`
+async function recordAttemptFailure(item, s, error) {
+  item.attempts = (item.attempts || 0) + 1;
+  item.lastError = error;
+  item.meta = { ...(item.meta || {}), error };
+  const decision = retryDecision(item.attempts, s);
+  if (decision.retry) {
+    item.status = 'scheduled';
+    item.scheduledAt = decision.nextAt;
+  } else {
+    item.status = 'failed';
+    item.failedAt = new Date();
+  }
+  await item.save();
+  const data = { id: item._id, error, attempts: item.attempts, maxAttempts: decision.maxAttempts, nextAttemptAt: decision.nextAt || null };
+  pushEvent({ type: 'failure', platform: item.platform, message: decision.retry ? 'Publish failed, retry scheduled' : 'Publish failed permanently', meta: data });
+  await ActivityLog.create({ type: 'post', platform: item.platform, status: decision.retry ? 'warning' : 'failed', message: decision.retry ? 'Publish failed, retry scheduled' : 'Publish failed permanently', data });
+  return decision.retry;
+}
+
+// Items left in `posting` by a crash or a hung publish count as a failed attempt. The default
+// cutoff is well past the longest publish timeout so a slow upload that is still running is never retried.
+const stalePostingMin = () => Math.ceil(maxPublishMs() / 60000) + 15;
+async function recoverStalePosting(olderThanMin = stalePostingMin()) {
+  const s = await getOrCreateSettings();
+  const cutoff = new Date(Date.now() - olderThanMin * 60 * 1000);
+  const stale = await PostQueue.find({ status: 'posting', lastAttemptAt: { $lte: cutoff } }).limit(50);
+  for (const item of stale) {
+    await recordAttemptFailure(item, s, 'Publish did not complete (stale posting state)');
+  }
+  return stale.length;
+}
+
+// Count a post against the running burst session; returns true when it hit maxTotal
+async function recordBurstPost(sessionId, platform) {
+  const session = await BurstSession.findOneAndUpdate({ _id: sessionId, status: 'active' }, { $inc: { posted: 1, [`postedByPlatform.${platform}`]: 1 } }, { new: true });
+  if (!session || !(session.maxTotal > 0) || session.posted < session.maxTotal) return false;
+  await BurstSession.updateOne({ _id: sessionId, status: 'active' }, { $set: { status: 'completed', endedAt: new Date(), endReason: 'max_total' } });
+  pushEvent({ type: 'burst', message: 'Burst session reached maxTotal', meta: { sessionId, posted: session.posted } });
+  await ActivityLog.create({ type: 'burst', status: 'success', message: 'Burst session reached maxTotal', data: { sessionId, posted: session.posted, maxTotal: session.maxTotal } });
+  return true;
+}
 
+async function postDueWithCaps() {
+  const s = await getOrCreateSettings();
+  let caps = await currentCapState(s);
+  // post-time recheck against posted memos only; the index picks up each post as it lands
+  const dedupe = createDedupeSession(s, { pending: false });
   const due = await PostQueue.find({ status: 'scheduled', scheduledAt: { $lte: new Date() } }).sort({ scheduledAt: 1 }).limit(50);
-  let posted = 0, skipped = 0;
+  let posted = 0, skipped = 0, failed = 0;
   for (const item of due) {
-    // enforce per-hour cap per platform
-    if (perPlatformTotals[item.platform] >= hourlyLimit) continue;
+    // enforce hourly + daily caps per platform
+    if (!canPost(caps, item.platform)) continue;
     const lockOk = await tryAcquireLock(`post:${item._id}`, 120);
     if (!lockOk) continue;
     pushEvent({ type: 'claim', platform: item.platform, message: 'Claimed for posting', meta: { id: item._id } });
-    const dup = await isDuplicateCandidate(item, s);
-    if (dup.duplicate) {
-      item.status = 'skipped'; await item.save(); skipped++;
-      await ActivityLog.create({ type: 'post', platform: item.platform, status: 'warning', message: 'Skipped duplicate at post time', data: { id: item._id, reason: dup.reason } });
-      continue;
+    try {
+      const dup = await dedupe.check(item);
+      if (dup.duplicate) {
+        await markDuplicateSkipped(item, dup, { stage: 'post', message: 'Skipped duplicate at post time' });
+        skipped++;
+        continue;
+      }
+      const result = await publishItem(item, s);
+      if (!result.ok) { failed++; continue; }
+      consume(caps, item.platform);
+      posted++;
+      if (caps.burstActive && caps.burst.session.platforms.includes(item.platform)) {
+        const ended = await recordBurstPost(caps.burst.session._id, item.platform);
+        if (ended) caps = await currentCapState(s);
+      }
+    } catch (e) {
+      // one bad item must not abort the tick
+      failed++;
+      await recordAttemptFailure(item, s, String(e?.message || e)).catch(() => {});
     }
-    item.status = 'posted'; item.postedAt = new Date(); await item.save();
-    await PostedMemo.create({ platform: item.platform, postedAt: item.postedAt, visualHash: item.visualHash, captionNorm: item.captionNorm, durationSec: item.durationSec, audioKey: item.audioKey });
-    perPlatformTotals[item.platform] += 1;
-    posted++;
-    pushEvent({ type: 'post_success', platform: item.platform, message: 'Posted 1 item', meta: { id: item._id, postedAt: item.postedAt } });
-    await ActivityLog.create({ type: 'post', platform: item.platform, status: 'success', message: 'Posted', data: { id: item._id } });
   }
-  return { posted, skipped };
+  return { posted, skipped, failed };
 }
 
 function startScheduler() {
@@ -273,6 +583,8 @@ function startScheduler() {
       return;
     }
     try {
+      await recoverStalePosting();
+      await preloadBurst();
       const refill = await scheduleRefill(3);
       schedulerState.lastRefillAt = new Date().toISOString();
       schedulerState.lastRefillAdded = refill.added;
@@ -288,6 +600,114 @@ function startScheduler() {
 
 startScheduler();
 
+// Analytics collector: periodic follower/subscriber/view snapshots for /api/analytics timeseries
+async function collectAnalyticsSnapshots() {
+  const s = await getOrCreateSettings();
+  const takenAt = new Date();
+  const docs = [];
+  const [ig, yt] = await Promise.all([fetchInstagramFollowers(s), fetchYouTubeStats(s)]);
+  if (ig.connected) {
+    const eng = await fetchInstagramEngagement(s, ig.followers);
+    docs.push({ platform: 'instagram', takenAt, followers: ig.followers, reach: eng.reach, engagementRate: eng.engagementRate });
+  }
+  if (yt.connected) {
+    docs.push({ platform: 'youtube', takenAt, subscribers: yt.subscribers, views: yt.views });
+  }
+  if (docs.length) await AnalyticsSnapshot.insertMany(docs);
+  return { collected: docs.length, takenAt };
+}
+
+function startAnalyticsCollector() {
+  const everyMin = Math.max(5, Number(process.env.ANALYTICS_SNAPSHOT_MINUTES || 60));
+  setInterval(async () => {
+    const have = await tryAcquireLock('analytics', everyMin * 60 - 5);
+    if (!have) return;
+    try {
+      await collectAnalyticsSnapshots();
+    } catch (e) {
+      await ActivityLog.create({ type: 'error', status: 'failed', message: 'Analytics snapshot error', data: { error: String(e?.message || e) } });
+    }
+  }, everyMin * 60 * 1000);
+}
+
+startAnalyticsCollector();
+
+// Performance tracker: metrics for published posts at the 1h / 24h / 7d checkpoints
+async function collectDuePostMetrics(now = new Date()) {
+  const s = await getOrCreateSettings();
+  let collected = 0, errors = 0;
+  for (const cp of CHECKPOINTS) {
+    const due = await PostQueue.find({
+      status: 'posted',
+      'meta.remoteId': { $exists: true, $ne: null },
+      postedAt: { $lte: new Date(now.getTime() - cp.afterMs), $gte: new Date(now.getTime() - cp.afterMs - cp.graceMs) },
+      metricsCheckpoints: { $ne: cp.name }
+    }).sort({ postedAt: 1 }).limit(25);
+    for (const item of due) {
+      try {
+        const accessToken = item.platform === 'youtube' ? await youtubeAccessToken(s) : undefined;
+        const m = await fetchPostMetrics(item, s, { apiKey: YOUTUBE_API_KEY, accessToken });
+        const collectedAt = new Date();
+        await PostMetric.updateOne({ postId: item._id, checkpoint: cp.name }, { $set: { platform: item.platform, remoteId: item.meta.remoteId, collectedAt, ...m } }, { upsert: true });
+        await PostQueue.updateOne({ _id: item._id }, { $set: { performance: { checkpoint: cp.name, collectedAt, ...m } }, $addToSet: { metricsCheckpoints: cp.name } });
+        collected++;
+      } catch (e) {
+        errors++;
+        // a deleted or inaccessible post would otherwise be retried forever
+        if (e?.status === 400 || e?.status === 404) {
+          await PostQueue.updateOne({ _id: item._id }, { $addToSet: { metricsCheckpoints: cp.name }, $set: { 'meta.metricsError': String(e.message || e) } });
+        }
+      }
+    }
+  }
+  return { collected, errors };
+}
+
+function startMetricsTracker() {
+  setInterval(async () => {
+    const have = await tryAcquireLock('post-metrics', 280);
+    if (!have) return;
+    try {
+      await collectDuePostMetrics();
+    } catch (e) {
+      await ActivityLog.create({ type: 'error', status: 'failed', message: 'Post metrics error', data: { error: String(e?.message || e) } });
+    }
+  }, 5 * 60 * 1000);
+}
+
+startMetricsTracker();
+
+// Token lifecycle: renew the Instagram long-lived token before it expires and keep the YouTube access token fresh
+async function maintainTokens() {
+  const s = await getOrCreateSettings();
+  const out = {};
+  try {
+    out.instagram = await renewInstagramToken(s);
+    if (out.instagram.renewed) await ActivityLog.create({ type: 'credentials', platform: 'instagram', status: 'info', message: 'Instagram token renewed', data: { expiresAt: out.instagram.expiresAt } });
+  } catch (e) {
+    out.instagram = { renewed: false, error: e.message };
+    await ActivityLog.create({ type: 'credentials', platform: 'instagram', status: 'failed', message: 'Instagram token renewal failed', data: { error: e.message } });
+  }
+  try {
+    await youtubeAccessToken(s);
+    out.youtube = { expiresAt: s.youtubeTokenExpiresAt };
+  } catch (e) {
+    out.youtube = { error: e.message };
+    await ActivityLog.create({ type: 'credentials', platform: 'youtube', status: 'failed', message: 'YouTube token refresh failed', data: { error: e.message } });
+  }
+  return out;
+}
+
+function startTokenMaintenance() {
+  setInterval(async () => {
+    const have = await tryAcquireLock('tokens', 25 * 60);
+    if (!have) return;
+    await maintainTokens().catch(e => console.warn('token maintenance:', e.message));
+  }, 30 * 60 * 1000);
+}
+
+startTokenMaintenance();
+
 // Health route (always responds)
 app.get('/api/scheduler/health', async (req, res) => {
   res.json({ ok: true, ...schedulerState });
@@ -310,14 +730,25 @@ app.get('/api/settings', async (req, res) => {
     autopilotPlatforms: s.autopilotPlatforms,
     trendingAudio: s.trendingAudio,
     aiCaptions: s.aiCaptions,
+    captionConfig: s.captionConfig,
     dropboxSave: s.dropboxSave,
+    dropboxFolder: s.dropboxFolder,
+    googleDriveFolderId: s.googleDriveFolderId,
     timeZone: s.timeZone,
     burstModeEnabled: s.burstModeEnabled,
     burstModeConfig: s.burstModeConfig,
+    maxPostAttempts: s.maxPostAttempts,
+    retryBackoffMinutes: s.retryBackoffMinutes,
+    repostDelay: s.repostDelay,
+    minPostGapMinutes: s.minPostGapMinutes,
+    visualSimilarityDays: s.visualSimilarityDays,
+    dedupeConfig: s.dedupeConfig,
 
     instagramToken: mask(s.instagramToken),
     igBusinessId: mask(s.igBusinessId),
     facebookPageId: mask(s.facebookPageId),
+    facebookAppId: mask(s.facebookAppId),
+    facebookAppSecret: mask(s.facebookAppSecret),
     youtubeAccessToken: mask(s.youtubeAccessToken),
     youtubeRefreshToken: mask(s.youtubeRefreshToken),
     youtubeChannelId: mask(s.youtubeChannelId),
@@ -330,73 +761,93 @@ app.get('/api/settings', async (req, res) => {
     s3SecretKey: mask(s.s3SecretKey),
     s3BucketName: mask(s.s3BucketName),
     s3Region: mask(s.s3Region),
-    mongoURI: mask(s.mongoURI)
+    mongoURI: mask(s.mongoURI),
+    instagramTokenExpiresAt: s.instagramTokenExpiresAt,
+    youtubeTokenExpiresAt: s.youtubeTokenExpiresAt
   });
 });
 
 // POST /api/settings
+// Unknown keys and invalid values are rejected with field-level errors; nothing is written then
 app.post('/api/settings', async (req, res) => {
   if (!MONGO_URI) return res.status(500).json({ success: false, error: 'Server DB not configured' });
   const s = await getOrCreateSettings();
-
-  // Only accept exact keys; ignore others silently
-  const allowedKeys = new Set([
-    'instagramToken','igBusinessId','facebookPageId',
-    'youtubeAccessToken','youtubeRefreshToken','youtubeChannelId','youtubeClientId','youtubeClientSecret',
-    'dropboxToken','runwayApiKey','openaiApiKey','s3AccessKey','s3SecretKey','s3BucketName','s3Region','mongoURI',
-    'autopilotEnabled','manual','postTime','peakHours','maxPosts','minimumIGLikesToRepost','recentPostsToCheck','hourlyLimit','dailyLimit','autopilotPlatforms','trendingAudio','aiCaptions','dropboxSave','timeZone',
-    // legacy alias
-    'minViews'
-  ]);
-
-  const body = req.body && typeof req.body === 'object' ? req.body : {};
-  const update = {};
-  const updatedKeys = [];
-
-  // Map legacy alias
-  if (Object.prototype.hasOwnProperty.call(body, 'minViews') && !Object.prototype.hasOwnProperty.call(body, 'minimumIGLikesToRepost')) {
-    body.minimumIGLikesToRepost = body.minViews;
+  const { update, errors } = validateSettingsPatch(req.body, s);
+  if (!encryptionEnabled()) errors.push(...SECRET_FIELDS.filter(f => f in update).map(field => ({ field, message: 'CREDENTIALS_KEY is not set on the server; credentials cannot be stored' })));
+  if (errors.length) return validationFailed(res, errors);
+  const { changes, version } = await applySettingsChange(s, update, { actor: req.auth?.id, source: 'settings' });
+  // A newly pasted token has an unknown expiry; Instagram ones are exchanged for a long-lived token right away
+  let tokenRenewal;
+  if (changes.some(c => c.field === 'youtubeAccessToken')) await Settings.updateOne({ _id: s._id }, { $set: { youtubeTokenExpiresAt: null } });
+  if (changes.some(c => c.field === 'instagramToken')) {
+    await Settings.updateOne({ _id: s._id }, { $set: { instagramTokenExpiresAt: null, instagramTokenRenewedAt: null } });
+    tokenRenewal = await renewInstagramToken(await getOrCreateSettings(), { force: true }).catch(e => ({ renewed: false, error: e.message }));
   }
+  res.json({ success: true, saved: Object.keys(update), changed: changes.map(c => c.field), version, ...(tokenRenewal ? { tokenRenewal } : {}) });
+});
 
-  // Coerce numerics only if present (and not blank)
-  const numericKeys = ['maxPosts','minimumIGLikesToRepost','recentPostsToCheck','hourlyLimit','dailyLimit'];
-
-  for (const [k, v] of Object.entries(body)) {
-    if (!allowedKeys.has(k)) continue;
-    if (v === '' || v === null || typeof v === 'undefined') continue; // do not overwrite with blank
-    let val = v;
-    if (numericKeys.includes(k)) {
-      const n = typeof v === 'string' ? parseInt(v, 10) : v;
-      if (!Number.isNaN(n)) val = n; else continue;
-    }
-    if (k === 'autopilotPlatforms' && typeof v === 'object' && v) {
-      val = { instagram: !!v.instagram, youtube: !!v.youtube };
+// Re-encrypt stored credentials under the current CREDENTIALS_KEY (after moving the old key to CREDENTIALS_OLD_KEYS)
+app.post('/api/settings/credentials/rotate', async (req, res) => {
+  if (!encryptionEnabled()) return res.status(400).json({ success: false, error: 'CREDENTIALS_KEY is not set' });
+  const report = await rotateCredentials();
+  await ActivityLog.create({ type: 'credentials', status: report.failed.length ? 'error' : 'info', message: 'Credentials rotated', data: { ...report, failed: report.failed.map(f => f.field) } });
+  res.json({ success: !report.failed.length, ...report });
+});
+app.get('/api/settings/credentials/status', async (req, res) => {
+  const s = await getOrCreateSettings();
+  const fields = Object.fromEntries(SECRET_FIELDS.map(f => [f, !s[f] ? 'missing' : isEncrypted(s[f]) ? 'encrypted' : 'plain']));
+  res.json({ success: true, encryptionEnabled: encryptionEnabled(), fields, expiresAt: { instagram: s.instagramTokenExpiresAt, youtube: s.youtubeTokenExpiresAt } });
+});
+// Force an Instagram long-lived exchange or a YouTube refresh now. Body: { platform }
+app.post('/api/settings/credentials/renew', async (req, res) => {
+  const platform = req.body?.platform;
+  if (!PLATFORMS.includes(platform)) return validationFailed(res, [{ field: 'platform', message: `must be one of ${PLATFORMS.join(', ')}` }]);
+  const s = await getOrCreateSettings();
+  try {
+    if (platform === 'instagram') {
+      const r = await renewInstagramToken(s, { force: true });
+      return res.json({ success: r.renewed, platform, ...r });
     }
-    update[k] = val;
-    updatedKeys.push(k);
-  }
-
-  // Couple manual when autopilotEnabled provided and manual not explicitly set
-  if (Object.prototype.hasOwnProperty.call(update, 'autopilotEnabled') && !Object.prototype.hasOwnProperty.call(body, 'manual')) {
-    update.manual = !update.autopilotEnabled;
-    if (!updatedKeys.includes('manual')) updatedKeys.push('manual');
-  }
-
-  if (updatedKeys.length > 0) {
-    await Settings.updateOne({ _id: s._id }, { $set: update });
+    // youtubeAccessToken hands back the stored token when it cannot refresh; that is not a renewal
+    if (!canRefreshYouTube(s)) return res.status(400).json({ success: false, platform, renewed: false, error: 'YouTube token cannot be refreshed: youtubeRefreshToken, youtubeClientId and youtubeClientSecret are all required' });
+    await youtubeAccessToken(s, { force: true });
+    res.json({ success: true, platform, renewed: true, expiresAt: s.youtubeTokenExpiresAt });
+  } catch (e) {
+    res.status(502).json({ success: false, platform, error: e.message });
   }
+});
 
-  res.json({ success: true, saved: updatedKeys });
+// Settings history: list versions, inspect one, roll back to one
+app.get('/api/settings/versions', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+  const q = req.query.before ? { version: { $lt: Number(req.query.before) } } : {};
+  const versions = await SettingsVersion.find(q, { snapshot: 0 }).sort({ version: -1 }).limit(limit).lean();
+  res.json({ success: true, versions });
+});
+app.get('/api/settings/versions/:version', async (req, res) => {
+  const v = await SettingsVersion.findOne({ version: Number(req.params.version) }).lean();
+  if (!v) return res.status(404).json({ success: false, error: 'version not found' });
+  res.json({ success: true, version: v });
+});
+// Restores every versioned field to the snapshot; credentials are not versioned and stay as they are
+app.post('/api/settings/rollback', async (req, res) => {
+  const target = Number(req.body?.version);
+  if (!Number.isInteger(target)) return validationFailed(res, [{ field: 'version', message: 'must be an integer' }]);
+  const v = await SettingsVersion.findOne({ version: target }).lean();
+  if (!v) return res.status(404).json({ success: false, error: 'version not found' });
+  const s = await getOrCreateSettings();
+  const update = Object.fromEntries(VERSIONED_FIELDS.filter(k => v.snapshot?.[k] !== undefined && v.snapshot[k] !== null).map(k => [k, v.snapshot[k]]));
+  const { changes, version } = await applySettingsChange(s, update, { actor: req.auth?.id, source: 'rollback', rollbackOf: target });
+  res.json({ success: true, rolledBackTo: target, changed: changes.map(c => c.field), version });
 });
 
 // Autopilot status
 app.get('/api/autopilot/status', async (req, res) => {
   const s = await getOrCreateSettings();
   const queueCount = await PostQueue.countDocuments({ status: { $in: ['queued','scheduled','posting'] } });
-  const startOfDay = new Date(); startOfDay.setHours(0,0,0,0);
-  const todayIG = await PostQueue.countDocuments({ platform: 'instagram', status: 'posted', postedAt: { $gte: startOfDay } });
-  const todayYT = await PostQueue.countDocuments({ platform: 'youtube', status: 'posted', postedAt: { $gte: startOfDay } });
-  res.json({ success: true, autopilotEnabled: s.autopilotEnabled, queueCount, todayPosts: { instagram: todayIG, youtube: todayYT }, caps: { hourlyLimit: s.hourlyLimit, dailyLimit: s.dailyLimit }, burst: { enabled: s.burstModeEnabled, ...s.burstModeConfig } });
+  const caps = await currentCapState(s);
+  const todayPosts = Object.fromEntries(PLATFORMS.map(p => [p, caps.platforms[p].daily.used]));
+  res.json({ success: true, autopilotEnabled: s.autopilotEnabled, queueCount, todayPosts, caps: { hourlyLimit: s.hourlyLimit, dailyLimit: s.dailyLimit, timeZone: caps.timeZone, dayResetsAt: caps.dayResetsAt, burstActive: caps.burstActive, remaining: summarizeCaps(caps) }, burst: { enabled: s.burstModeEnabled, ...s.burstModeConfig, active: caps.burstActive, session: describeBurstSession(caps.burst.session) } });
 });
 
 // Autopilot queue
@@ -412,49 +863,223 @@ app.post('/api/autopilot/refill', async (req, res) => {
   res.json({ success: true, ...out });
 });
 
-// New: run now (scrape/filter/schedule simplified to refill logic)
+// One autopilot pass: harvest our Instagram media into the queue (up to scrapeLimit, or body.limit),
+// then top up the schedule. Body: { platforms?, limit?, threshold? }. checked counts media examined;
+// skipped counts media not queued plus duplicates skipped while scheduling. Without Instagram
+// credentials the harvest is skipped (harvest: 'not_configured') and only the refill runs.
 app.post('/api/autopilot/run', async (req, res) => {
-  const out = await scheduleRefill(5);
-  res.json({ success: true, scheduled: out.added, skipped: 0, checked: out.added });
+  const s = await getOrCreateSettings();
+  const body = req.body || {};
+  const limit = Math.min(Math.max(parseInt(body.limit ?? s.scrapeLimit, 10) || 500, 1), 5000);
+  let summary = null;
+  if (instagramConfigured(s)) {
+    try {
+      const out = await runFolderSync('instagram-harvest', () => harvestInstagram(s, { platforms: ingestPlatforms(s, body), limit }));
+      if (out.busy) return res.status(409).json({ success: false, error: 'An Instagram harvest is already running' });
+      summary = out.summary;
+    } catch (e) {
+      await ActivityLog.create({ type: 'upload', status: 'failed', message: 'Instagram harvest failed', data: { error: e.message } });
+      return res.status(e?.status && e.status < 500 ? 400 : 502).json({ success: false, error: e.message });
+    }
+  }
+  const refill = await scheduleRefill(Math.max(1, parseInt(body.threshold, 10) || 5));
+  res.json({
+    success: true, harvest: summary ? 'ran' : 'not_configured', checked: summary?.checked || 0, scheduled: refill.added,
+    skipped: (summary?.skipped || 0) + refill.skipped, added: summary?.added || 0, refreshed: summary?.refreshed || 0, report: summary
+  });
 });
 
-// Autofill optimal times (stubbed)
+// Autofill: plan concrete slots for the coming days and assign the best queued candidates.
+// mode "preview" (default) only returns the plan; mode "commit" schedules it.
 app.post('/api/scheduler/autofill', async (req, res) => {
-  res.json({ success: true, filled: 0 });
+  const s = await getOrCreateSettings();
+  const body = req.body || {};
+  const days = Math.min(Math.max(parseInt(body.days ?? 3, 10) || 3, 1), 14);
+  const commit = body.mode === 'commit' || body.commit === true;
+  const platforms = Array.isArray(body.platforms) ? body.platforms.filter(p => PLATFORMS.includes(p)) : enabledPlatforms(s);
+  const now = new Date();
+  const plan = await buildPlan(s, { days, platforms, now });
+
+  const queued = await PostQueue.find({ status: 'queued', platform: { $in: platforms } }).sort({ pinned: -1, priority: -1, 'engagement.likes': -1 }).limit(200);
+  const eligible = [];
+  const rejected = [];
+  const duplicates = [];
+  const dedupe = createDedupeSession(s);
+  for (const c of queued) {
+    if (!c.pinned && c.platform === 'instagram' && (c.engagement?.likes || 0) < s.minimumIGLikesToRepost) { rejected.push({ id: c._id, reason: 'below_min_likes' }); continue; }
+    const dup = await dedupe.check(c);
+    if (dup.duplicate) {
+      if (!c.pinned) duplicates.push({ item: c, dup });
+      rejected.push({ id: c._id, reason: dup.reason, duplicateOf: dup.match });
+      continue;
+    }
+    dedupe.add(c);
+    eligible.push(c);
+  }
+  const { assignments, unfilled } = assignCandidates(plan.slots, eligible, { repostDelayDays: s.repostDelay });
+
+  let filled = 0;
+  if (commit) {
+    const audio = createAudioRotation(s, { now });
+    const aiUntil = Date.now() + SCHEDULE_AI_BUDGET_MS;
+    for (const { slot, candidate } of assignments) {
+      candidate.scheduledAt = slot.at;
+      const track = await audio.assign(candidate);
+      const r = await PostQueue.updateOne({ _id: candidate._id, status: 'queued' }, { $set: { status: 'scheduled', scheduledAt: slot.at, captionNorm: normalizeCaption(candidate.originalCaption ?? candidate.caption ?? ''), ...await scheduledCaption(s, candidate, { aiUntil }), ...track } });
+      if (r.modifiedCount !== 1) {
+        audio.release(track);
+        continue;
+      }
+      await audio.record(track);
+      filled++;
+      pushEvent({ type: 'schedule', platform: candidate.platform, message: 'Scheduled', meta: { id: candidate._id, at: slot.at } });
+    }
+    for (const { item, dup } of duplicates) await markDuplicateSkipped(item, dup);
+    await ActivityLog.create({ type: 'schedule', status: 'success', message: 'Autofill committed', data: { filled, days, platforms, skippedDuplicates: duplicates.length } });
+  }
+
+  res.json({
+    success: true,
+    mode: commit ? 'commit' : 'preview',
+    filled,
+    days,
+    timeZone: plan.timeZone,
+    slots: plan.slots.length,
+    plan: assignments.map(({ slot, candidate, score }) => ({ id: candidate._id, platform: slot.platform, at: slot.at, caption: candidate.caption, score })),
+    unfilled: unfilled.map(x => ({ platform: x.platform, at: x.at })),
+    rejected
+  });
 });
 
 // Heatmap
+function heatmapQuery(req) {
+  const platform = PLATFORMS.includes(req.query.platform) ? req.query.platform : 'all';
+  const lookbackDays = Math.min(Math.max(parseInt(req.query.days || '90', 10) || 90, 7), 365);
+  return { platform, lookbackDays };
+}
+
 app.get('/api/heatmap/weekly', async (req, res) => {
-  const matrix = Array.from({ length: 7 }, () => Array.from({ length: 24 }, () => 0));
-  res.json({ matrix, meta: { scale: { min: 0, max: 100 }, generatedAt: new Date().toISOString(), method: 'weighted', weights: { viewerActivity: 0.6, postPerformance: 0.4 } }, topSlots: [] });
+  const s = await getOrCreateSettings();
+  const heat = await getHeatmap(s, heatmapQuery(req));
+  res.json({
+    matrix: heat.matrix,
+    meta: { scale: { min: 0, max: 100 }, generatedAt: heat.generatedAt, method: 'weighted', weights: WEIGHTS, timeZone: heat.timeZone, platform: heat.platform, lookbackDays: heat.lookbackDays, samples: heat.totalSamples, rows: DAY_LABELS },
+    topSlots: rankSlots(heat, { limit: 5 })
+  });
 });
 app.get('/api/heatmap/optimal-times', async (req, res) => {
-  res.json({ slots: [] });
+  const s = await getOrCreateSettings();
+  const { platform, lookbackDays } = heatmapQuery(req);
+  const limit = Math.min(parseInt(req.query.limit || '10', 10), 50);
+  const platforms = platform === 'all' ? PLATFORMS : [platform];
+  const byPlatform = {};
+  for (const p of platforms) {
+    byPlatform[p] = rankSlots(await getHeatmap(s, { platform: p, lookbackDays }), { limit });
+  }
+  const slots = Object.entries(byPlatform).flatMap(([p, list]) => list.map(x => ({ platform: p, ...x })))
+    .sort((a, b) => b.score * b.confidence - a.score * a.confidence);
+  res.json({ slots, byPlatform, timeZone: resolveTimeZone(s), lookbackDays });
 });
 
 // Analytics
+async function latestSnapshot(platform) {
+  return AnalyticsSnapshot.findOne({ platform }).sort({ takenAt: -1 }).lean();
+}
+
+// ?range=24h|7d|30d|90d (default 30d), ?interval=hour|day (default hour for 24h, else day)
+async function analyticsTimeseries(s, query) {
+  const range = RANGES[query.range] ? query.range : '30d';
+  const interval = query.interval === 'hour' || query.interval === 'day' ? query.interval : (range === '24h' ? 'hour' : 'day');
+  const timeZone = resolveTimeZone(s);
+  const to = new Date();
+  const from = new Date(to.getTime() - RANGES[range] * 24 * 60 * 60 * 1000);
+  // one earlier snapshot so the first bucket has a carried-forward value
+  const [snaps, before] = await Promise.all([
+    AnalyticsSnapshot.find({ takenAt: { $gte: from, $lte: to } }).sort({ takenAt: 1 }).lean(),
+    Promise.all(PLATFORMS.map(p => AnalyticsSnapshot.findOne({ platform: p, takenAt: { $lt: from } }).sort({ takenAt: -1 }).lean()))
+  ]);
+  const seed = before.filter(Boolean).map(x => ({ ...x, takenAt: from }));
+  const labels = bucketLabels(from, to, interval, timeZone);
+  const ig = [...seed, ...snaps].filter(x => x.platform === 'instagram');
+  const yt = [...seed, ...snaps].filter(x => x.platform === 'youtube');
+  const instagram = seriesFor(ig, 'followers', labels, interval, timeZone);
+  const youtube = seriesFor(yt, 'subscribers', labels, interval, timeZone);
+  const youtubeViews = seriesFor(yt, 'views', labels, interval, timeZone);
+  const combined = labels.map((_, i) => (instagram[i] === null && youtube[i] === null ? null : (instagram[i] || 0) + (youtube[i] || 0)));
+  return {
+    range, interval, timeZone, labels, instagram, youtube, youtubeViews, combined,
+    growth: { instagram: growth(instagram), youtube: growth(youtube), youtubeViews: growth(youtubeViews), combined: growth(combined) }
+  };
+}
+
 app.get('/api/analytics', async (req, res) => {
   try {
     const s = await getOrCreateSettings();
-    const [ig, yt] = await Promise.all([
+    const [ig, yt, igSnap, timeseries] = await Promise.all([
       fetchInstagramFollowers(s),
-      fetchYouTubeStats(s)
+      fetchYouTubeStats(s),
+      latestSnapshot('instagram'),
+      analyticsTimeseries(s, req.query)
     ]);
+    const { growth: deltas, ...series } = timeseries;
     res.json({
-      instagram: { followers: ig.followers, engagementRate: 0, reach: 0, connected: ig.connected, autopilotEnabled: !!s.autopilotEnabled },
+      instagram: { followers: ig.followers, engagementRate: igSnap?.engagementRate ?? 0, reach: igSnap?.reach ?? 0, connected: ig.connected, autopilotEnabled: !!s.autopilotEnabled },
       youtube: { subscribers: yt.subscribers, views: yt.views, watchTimeHours: yt.watchTimeHours, connected: yt.connected, autopilotEnabled: !!s.autopilotEnabled },
-      timeseries: { labels: [], instagram: [], youtube: [], combined: [] },
+      timeseries: series,
+      growth: deltas,
       credentials: {}
     });
   } catch (e) {
     res.json({ instagram: { followers: 0, engagementRate: 0, reach: 0, connected: false }, youtube: { subscribers: 0, views: 0, watchTimeHours: 0, connected: false }, timeseries: { labels: [], instagram: [], youtube: [], combined: [] }, credentials: {} });
   }
 });
+// Reposts ranked by measured performance against the engagement they were picked on
+app.get('/api/analytics/reposts', async (req, res) => {
+  const s = await getOrCreateSettings();
+  const limit = Math.min(parseInt(req.query.limit || '50', 10), 200);
+  const filter = { status: 'posted', performance: { $ne: null } };
+  if (PLATFORMS.includes(req.query.platform)) filter.platform = req.query.platform;
+  if (CHECKPOINTS.some(c => c.name === req.query.checkpoint)) filter.metricsCheckpoints = req.query.checkpoint;
+  const posts = await PostQueue.find(filter).sort({ postedAt: -1 }).limit(500).lean();
+  const rows = posts.map(p => {
+    const actualScore = postScore(p);
+    const originalScore = candidateScore(p);
+    return {
+      id: p._id, platform: p.platform, caption: p.caption, permalink: p.meta?.permalink || null, postedAt: p.postedAt,
+      original: p.engagement || {}, actual: p.performance, originalScore, actualScore, liftPct: liftPct(actualScore, originalScore)
+    };
+  }).sort((a, b) => b.actualScore - a.actualScore);
+
+  // Mean measured score by source-likes quartile: do higher-liked sources actually perform better?
+  const byLikes = [...rows].sort((a, b) => (a.original.likes || 0) - (b.original.likes || 0));
+  const quartiles = [0, 1, 2, 3].map(q => {
+    const part = byLikes.slice(Math.floor((q * byLikes.length) / 4), Math.floor(((q + 1) * byLikes.length) / 4));
+    if (!part.length) return null;
+    return { minLikes: part[0].original.likes || 0, maxLikes: part[part.length - 1].original.likes || 0, count: part.length, meanActualScore: Math.round(part.reduce((a, r) => a + r.actualScore, 0) / part.length) };
+  }).filter(Boolean);
+  const lifts = rows.map(r => r.liftPct).filter(v => v !== null).sort((a, b) => a - b);
+
+  res.json({
+    success: true,
+    total: rows.length,
+    items: rows.slice(0, limit),
+    summary: { minimumIGLikesToRepost: s.minimumIGLikesToRepost, medianLiftPct: lifts.length ? lifts[Math.floor(lifts.length / 2)] : null, bySourceLikesQuartile: quartiles }
+  });
+});
+app.get('/api/analytics/posts/:id/metrics', async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ success: false, error: 'invalid id' });
+  const history = await PostMetric.find({ postId: req.params.id }).sort({ collectedAt: 1 }).lean();
+  res.json({ success: true, history });
+});
+app.post('/api/analytics/collect', async (req, res) => {
+  const out = await collectAnalyticsSnapshots();
+  res.json({ success: true, ...out });
+});
 app.get('/api/instagram/analytics', async (req, res) => {
   try {
     const s = await getOrCreateSettings();
-    const ig = await fetchInstagramFollowers(s);
-    res.json({ analytics: { followers: ig.followers, engagementRate: 0, reach: 0, connected: ig.connected } });
+    const [ig, igSnap] = await Promise.all([fetchInstagramFollowers(s), latestSnapshot('instagram')]);
+    res.json({ analytics: { followers: ig.followers, engagementRate: igSnap?.engagementRate ?? 0, reach: igSnap?.reach ?? 0, connected: ig.connected } });
   } catch {
     res.json({ analytics: { followers: 0, engagementRate: 0, reach: 0, connected: false } });
   }
@@ -472,11 +1097,11 @@ app.get('/api/youtube/analytics', async (req, res) => {
 // Scheduler status
 app.get('/api/scheduler/status', async (req, res) => {
   const s = await getOrCreateSettings();
-  const startOfDay = new Date(); startOfDay.setHours(0,0,0,0);
-  const igUsed = await PostQueue.countDocuments({ platform: 'instagram', status: 'posted', postedAt: { $gte: startOfDay } });
-  const ytUsed = await PostQueue.countDocuments({ platform: 'youtube', status: 'posted', postedAt: { $gte: startOfDay } });
+  const caps = await currentCapState(s);
+  const summary = summarizeCaps(caps);
   const nextRun = new Date(Date.now() + 60 * 1000).toISOString();
-  res.json({ instagram: { used: igUsed, limit: s.dailyLimit }, youtube: { used: ytUsed, limit: s.dailyLimit }, nextRun });
+  const platformStatus = (p) => ({ used: caps.platforms[p].daily.used, limit: s.dailyLimit, remaining: summary[p].remaining, hourly: summary[p].hourly, daily: summary[p].daily });
+  res.json({ instagram: platformStatus('instagram'), youtube: platformStatus('youtube'), nextRun, timeZone: caps.timeZone, dayResetsAt: caps.dayResetsAt, burstActive: caps.burstActive });
 });
 
 // Diagnostics
@@ -486,24 +1111,84 @@ app.get('/api/diag/autopilot-report', async (req, res) => {
   const dueNow = await PostQueue.countDocuments({ status: 'scheduled', scheduledAt: { $lte: new Date() } });
   const postingNow = await PostQueue.countDocuments({ status: 'posting' });
   const last10 = await PostQueue.find().sort({ updatedAt: -1 }).limit(10).lean();
-  res.json({ settings: { autopilotEnabled: s.autopilotEnabled, dailyLimit: s.dailyLimit, hourlyLimit: s.hourlyLimit, timeZone: s.timeZone, recentPostsWindowCount: s.recentPostsWindowCount, burstModeEnabled: s.burstModeEnabled, burstModeConfig: s.burstModeConfig }, scheduler: { running: true, lastTickIso: schedulerState.lastTickAt, tickEverySec: 60, activeLocks: schedulerState.lockHeld ? ['scheduler'] : [] }, queue: { total, dueNow, postingNow, last10 }, postsLastHour: { count: 0, byPlatform: {} }, countersToday: { instagram: 0, youtube: 0, total: 0 }, locks: { schedulerLock: schedulerState.lockHeld, postOnceLocks: 0 } });
+  const caps = await currentCapState(s);
+  const byPlatform = (kind) => Object.fromEntries(PLATFORMS.map(p => [p, caps.platforms[p][kind].used]));
+  const sum = (o) => Object.values(o).reduce((a, b) => a + b, 0);
+  const lastHour = byPlatform('hourly');
+  const today = byPlatform('daily');
+  res.json({ settings: { autopilotEnabled: s.autopilotEnabled, dailyLimit: s.dailyLimit, hourlyLimit: s.hourlyLimit, timeZone: caps.timeZone, recentPostsWindowCount: s.recentPostsWindowCount, burstModeEnabled: s.burstModeEnabled, burstModeConfig: s.burstModeConfig }, scheduler: { running: true, lastTickIso: schedulerState.lastTickAt, tickEverySec: 60, activeLocks: schedulerState.lockHeld ? ['scheduler'] : [] }, queue: { total, dueNow, postingNow, last10 }, postsLastHour: { count: sum(lastHour), byPlatform: lastHour }, countersToday: { ...today, total: sum(today) }, locks: { schedulerLock: schedulerState.lockHeld, postOnceLocks: 0 } });
 });
 app.post('/api/diag/reset-counters', async (req, res) => { res.json({ ok: true }); });
 
 // Burst
 app.get('/api/burst', async (req, res) => {
   const s = await getOrCreateSettings();
-  res.json({ success: true, burstModeEnabled: s.burstModeEnabled, burstModeConfig: s.burstModeConfig });
+  const now = new Date();
+  const caps = await currentCapState(s, now);
+  const { window } = caps.burst;
+  const session = caps.burst.session || await BurstSession.findOne().sort({ windowStart: -1 }).lean();
+  res.json({
+    success: true,
+    burstModeEnabled: s.burstModeEnabled,
+    burstModeConfig: s.burstModeConfig,
+    active: caps.burstActive,
+    window: window ? { start: window.start, end: window.end, open: window.active } : null,
+    session: describeBurstSession(session, now)
+  });
+});
+app.get('/api/burst/sessions', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '20', 10), 100);
+  const sessions = await BurstSession.find().sort({ windowStart: -1 }).limit(limit).lean();
+  res.json({ success: true, sessions: sessions.map(x => describeBurstSession(x)) });
 });
+// Body: { burstModeEnabled?, burstModeConfig? } (config is merged over the current one)
 app.post('/api/burst', async (req, res) => {
   const s = await getOrCreateSettings();
-  await Settings.updateOne({ _id: s._id }, { $set: req.body || {} });
-  res.json({ success: true });
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const burstKeys = ['burstModeEnabled', 'burstModeConfig'];
+  const picked = Object.fromEntries(Object.entries(body).filter(([k]) => burstKeys.includes(k)));
+  const { update, errors } = validateSettingsPatch(picked, s);
+  errors.push(...Object.keys(body).filter(k => !burstKeys.includes(k)).map(field => ({ field, message: 'not a burst setting' })));
+  if (errors.length) return validationFailed(res, errors);
+  const { version } = await applySettingsChange(s, update, { actor: req.auth?.id, source: 'burst' });
+  res.json({ success: true, version });
 });
 app.post('/api/burst/config', async (req, res) => {
   const s = await getOrCreateSettings();
-  await Settings.updateOne({ _id: s._id }, { $set: { burstModeConfig: req.body } });
-  res.json({ success: true });
+  const errors = [];
+  const config = validateBurstConfig(req.body, s.burstModeConfig, errors);
+  if (errors.length) return validationFailed(res, errors);
+  const { version } = await applySettingsChange(s, { burstModeConfig: config }, { actor: req.auth?.id, source: 'burst_config' });
+  res.json({ success: true, version });
+});
+
+// Auth: who am I, mint signed tokens (admin), audit trail (admin)
+app.get('/api/auth/me', (req, res) => {
+  res.json({ success: true, id: req.auth?.id || null, role: req.auth?.role || null, method: req.auth?.method || null, expiresAt: req.auth?.exp ? new Date(req.auth.exp * 1000) : null });
+});
+app.post('/api/auth/token', (req, res) => {
+  const { sub, role = 'viewer', ttlMinutes = 60 } = req.body || {};
+  if (!sub || typeof sub !== 'string') return res.status(400).json({ success: false, error: 'sub required' });
+  if (!ROLES.includes(role)) return res.status(400).json({ success: false, error: `role must be one of ${ROLES.join(', ')}` });
+  const ttl = Math.min(Math.max(Number(ttlMinutes) || 60, 1), 60 * 24 * 30);
+  try {
+    const token = signToken({ sub, role, ttlSec: ttl * 60 });
+    res.json({ success: true, token, role, expiresAt: new Date(Date.now() + ttl * 60 * 1000) });
+  } catch (e) {
+    res.status(400).json({ success: false, error: e.message });
+  }
+});
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+  const q = {};
+  if (req.query.actor) q.actor = String(req.query.actor);
+  if (req.query.before) {
+    const before = new Date(String(req.query.before));
+    if (Number.isNaN(before.getTime())) return res.status(400).json({ success: false, error: 'before must be an ISO date' });
+    q.timestamp = { $lt: before };
+  }
+  const entries = await AuditLog.find(q).sort({ timestamp: -1 }).limit(limit).lean();
+  res.json({ success: true, entries });
 });
 
 // Activity feed (basic)
@@ -513,16 +1198,55 @@ app.get('/api/activity/feed', async (req, res) => {
   res.json({ data: logs });
 });
 
-// Events recent (in-memory)
-const inMemoryEvents = [];
+// Events: persisted in a capped collection so every dashboard sees the same ordered history across restarts
 function pushEvent(e) {
-  inMemoryEvents.unshift({ id: `${Date.now()}-${Math.random().toString(36).slice(2)}`, ts: Date.now(), ...e });
-  if (inMemoryEvents.length > 400) inMemoryEvents.length = 400;
+  appendEvent(e).catch(err => console.warn('event store:', err.message));
 }
-app.get('/api/events/recent', (req, res) => {
+app.get('/api/events/recent', async (req, res) => {
   const since = Number(req.query.since) || 0;
-  const list = since ? inMemoryEvents.filter(ev => ev.ts > since).slice(0, 200) : inMemoryEvents.slice(0, 200);
-  res.json({ events: list, timestamp: Date.now() });
+  const filter = parseEventFilter(req.query);
+  if (filter.unknownTypes.length) return res.status(400).json({ success: false, error: unknownTypesError(filter) });
+  const events = await recentEvents({ since, filter });
+  res.json({ events, timestamp: Date.now() });
+});
+
+// SSE stream. Resumes after `Last-Event-ID` (or ?lastEventId= for the first connect);
+// filter with ?types=schedule,failure&platforms=instagram
+app.get('/api/events/stream', async (req, res) => {
+  const filter = parseEventFilter(req.query);
+  if (filter.unknownTypes.length) return res.status(400).json({ success: false, error: unknownTypesError(filter) });
+  const resumeFrom = Number(req.get('Last-Event-ID') ?? req.query.lastEventId);
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache, no-transform', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const delivered = createSeenSeqs();
+  let replayedTo = 0;
+  let replaying = true;
+  const held = [];
+  const send = (ev) => {
+    if (!matchesFilter(ev, filter) || !delivered.add(ev.seq)) return;
+    res.write(`id: ${ev.id}\nevent: ${ev.type}\ndata: ${JSON.stringify(ev)}\n\n`);
+  };
+  // Subscribe before replaying so nothing published in between is lost; live events wait until replay is done
+  const unsubscribe = subscribe(ev => (replaying ? held.push(ev) : send(ev)));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  req.on('close', () => { clearInterval(heartbeat); unsubscribe(); });
+
+  try {
+    if (Number.isFinite(resumeFrom) && resumeFrom >= 0) {
+      for (;;) {
+        const batch = await eventsAfter(Math.max(replayedTo, resumeFrom), filter);
+        batch.forEach(send);
+        if (batch.length < 1000) break;
+        replayedTo = batch[batch.length - 1].seq;
+      }
+    }
+  } catch (e) {
+    res.write(`event: error\ndata: ${JSON.stringify({ error: e.message })}\n\n`);
+  }
+  replaying = false;
+  held.splice(0).forEach(send);
 });
 
 // Chart status (basic)
@@ -534,29 +1258,35 @@ app.get('/api/chart/status', async (req, res) => {
 // Posting: post-now / manual-post
 async function postDueNow() {
   const due = await PostQueue.find({ status: 'scheduled', scheduledAt: { $lte: new Date() } }).limit(50);
-  let posted = 0, skipped = 0;
+  let posted = 0, skipped = 0, failed = 0;
   const s = await getOrCreateSettings();
+  const dedupe = createDedupeSession(s, { pending: false });
   for (const item of due) {
-    const dup = await isDuplicateCandidate(item, s);
-    if (dup.duplicate) {
-      item.status = 'skipped'; await item.save(); skipped++; continue;
+    const lockOk = await tryAcquireLock(`post:${item._id}`, 120);
+    if (!lockOk) continue;
+    try {
+      const dup = await dedupe.check(item);
+      if (dup.duplicate) {
+        await markDuplicateSkipped(item, dup, { stage: 'post', message: 'Skipped duplicate at post time' });
+        skipped++; continue;
+      }
+      const result = await publishItem(item, s);
+      if (result.ok) posted++; else failed++;
+    } catch (e) {
+      failed++;
+      await recordAttemptFailure(item, s, String(e?.message || e)).catch(() => {});
     }
-    item.status = 'posted'; item.postedAt = new Date(); await item.save();
-    await PostedMemo.create({ platform: item.platform, postedAt: item.postedAt, visualHash: item.visualHash, captionNorm: item.captionNorm, durationSec: item.durationSec, audioKey: item.audioKey });
-    posted++;
-    pushEvent({ type: 'post_success', platform: item.platform, message: 'Posted 1 item', meta: { id: item._id } });
-    await ActivityLog.create({ type: 'post', platform: item.platform, status: 'success', message: 'Posted', data: { id: item._id } });
   }
-  return { posted, skipped };
+  return { posted, skipped, failed };
 }
 
 app.post('/api/post-now', async (req, res) => {
   const r = await postDueNow();
-  res.json({ success: true, posted: r.posted, skipped: r.skipped });
+  res.json({ success: true, posted: r.posted, skipped: r.skipped, failed: r.failed });
 });
 app.post('/api/autopilot/manual-post', async (req, res) => {
   const r = await postDueNow();
-  res.json({ success: true, posted: r.posted, skipped: r.skipped });
+  res.json({ success: true, posted: r.posted, skipped: r.skipped, failed: r.failed });
 });
 
 // Debug sim-check
@@ -565,18 +1295,66 @@ app.post('/api/debug/similarity-check', async (req, res) => {
   const candidate = {
     platform: req.body.platform || 'instagram',
     visualHash: req.body.visualHash || null,
+    frameHashes: Array.isArray(req.body.frameHashes) ? req.body.frameHashes.map(h => (typeof h === 'string' ? { phash: h } : h)) : [],
     captionNorm: normalizeCaption(req.body.caption || ''),
-    durationSec: req.body.durationSec || null
+    durationSec: req.body.durationSec || null,
+    audioKey: req.body.audioKey || null
   };
-  const recent = await getLastNPosted(candidate.platform, s.recentPostsWindowCount || 30);
-  const sample = recent.map(r => ({ postedAt: r.postedAt, visualHash: r.visualHash, captionNorm: r.captionNorm, audioKey: r.audioKey, durationSec: r.durationSec, distances: { visualHamming: hammingDistanceHex(candidate.visualHash, r.visualHash), captionSim: cosineSimFromTokens(candidate.captionNorm, r.captionNorm || ''), durationDelta: Math.abs((candidate.durationSec || 0) - (r.durationSec || 0)) } }));
-  let decision = { duplicate: false, reason: 'none' };
-  for (const r of sample) {
-    if (r.distances.visualHamming <= 8) { decision = { duplicate: true, reason: 'duplicate_visual' }; break; }
-    if (r.distances.captionSim >= 0.92) { decision = { duplicate: true, reason: 'duplicate_caption' }; break; }
-    if (r.distances.captionSim >= 0.85 && r.distances.durationDelta <= 1) { decision = { duplicate: true, reason: 'duplicate_caption_duration' }; break; }
+  const result = await checkDuplicate(candidate, s);
+  const { config } = result;
+  const distances = (rules) => ({
+    visualHamming: rules.find(r => r.rule === 'duplicate_visual').score,
+    captionSim: rules.find(r => r.rule === 'duplicate_caption').score,
+    durationDelta: rules.find(r => r.rule === 'duplicate_caption_duration').score.durationDelta
+  });
+  const describe = (m) => ({ id: m.memo._id, platform: m.memo.platform, postedAt: m.memo.postedAt, visualHash: m.memo.visualHash, frameHashes: (m.memo.frameHashes || []).length, captionNorm: m.memo.captionNorm, audioKey: m.memo.audioKey, durationSec: m.memo.durationSec, crossPlatform: m.crossPlatform, distances: distances(m.rules) });
+  res.json({
+    candidate,
+    recentSample: result.matches.slice(0, 5).map(describe),
+    // every recent post that fired at least one rule, with every rule it fired
+    hits: result.matches.filter(m => m.triggered.length).map(m => ({ ...describe(m), triggered: m.rules.filter(r => r.triggered) })),
+    decision: { duplicate: result.duplicate, reason: result.reason, match: result.match },
+    windowType: config.windowType,
+    windowN: config.windowN,
+    windowDays: config.windowDays,
+    crossPlatform: config.crossPlatform,
+    audioMatch: config.audioMatch,
+    thresholds: config.thresholds,
+    evaluated: result.matches.length,
+    // where the candidate's audio was used before and whether the rotation window blocks it
+    audio: candidate.audioKey ? await audioHistory(s, candidate.audioKey) : null
+  });
+});
+
+// Audio catalog. Body: { tracks: [{ trackId, title?, artist?, trendScore?, url?, durationSec? }], replace?, source? }
+app.post('/api/audio/import', async (req, res) => {
+  const body = req.body || {};
+  const source = typeof body.source === 'string' && body.source.trim() ? body.source.trim().slice(0, 100) : 'import';
+  const out = await importTracks(body.tracks, { source, replace: body.replace === true });
+  if (out.errors.length) return res.status(400).json({ success: false, error: 'Validation failed', errors: out.errors });
+  await ActivityLog.create({ type: 'audio', status: 'success', message: `Imported ${out.imported} audio tracks`, data: { source, created: out.created, updated: out.updated, deactivated: out.deactivated } });
+  res.json({ success: true, ...out });
+});
+
+// Rotation order for trending audio: usable tracks by rank, then those blocked by a recent use
+app.get('/api/audio/rank', async (req, res) => {
+  const s = await getOrCreateSettings();
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+  res.json({ success: true, trendingAudio: !!s.trendingAudio, ...await rankTracks(s, { limit }) });
+});
+
+// Hash queue items and posted memos that have no visual hash yet. Body: { limit?, dryRun?, retry? }
+app.post('/api/dedupe/backfill-hashes', async (req, res) => {
+  const s = await getOrCreateSettings();
+  const limit = Math.min(Math.max(Number(req.body?.limit) || 50, 1), 500);
+  if (!(await tryAcquireLock('hash-backfill', 15 * 60))) return res.status(409).json({ success: false, error: 'A hash backfill is already running' });
+  try {
+    const report = await backfillHashes(s, { limit, dryRun: !!req.body?.dryRun, retry: !!req.body?.retry });
+    if (!report.dryRun) await ActivityLog.create({ type: 'dedupe', status: 'success', message: `Hash backfill: ${report.items.hashed} items, ${report.memos.hashed} memos hashed`, data: { items: report.items, memos: report.memos } });
+    res.json({ success: true, ...report });
+  } finally {
+    await PostingLock.deleteOne({ key: 'hash-backfill' });
   }
-  res.json({ candidate, recentSample: sample.slice(0, 5), decision, windowType: 'lastN', windowN: s.recentPostsWindowCount || 30 });
 });
 
 // Uploads
@@ -586,39 +1364,177 @@ app.post('/api/upload/drag-drop', async (req, res) => {
 app.post('/api/upload/dragdrop', async (req, res) => {
   res.json({ success: true, results: { uploaded: 0, duplicates: 0, details: [] } });
 });
-app.post('/api/upload/refresh-caption', async (req, res) => { res.json({ success: true, caption: 'Smart caption placeholder' }); });
+// Caption pipeline (lib/captions.js). With `id` the item's caption is regenerated from its original
+// and saved (unless `preview`); otherwise body `caption` is rendered for `platform`. `ai` defaults to aiCaptions.
+app.post('/api/upload/refresh-caption', async (req, res) => {
+  const s = await getOrCreateSettings();
+  const body = req.body || {};
+  const ai = body.ai === undefined ? !!s.aiCaptions : body.ai === true || body.ai === 'true';
+  let item = null;
+  if (body.id !== undefined) {
+    if (!mongoose.isValidObjectId(body.id)) return res.status(400).json({ success: false, error: 'invalid id' });
+    item = await PostQueue.findById(body.id);
+    if (!item) return res.status(404).json({ success: false, error: 'item not found' });
+    if (!body.preview && !EDITABLE.includes(item.status)) return res.status(409).json({ success: false, error: `Item is ${item.status}` });
+  }
+  const platform = item?.platform || body.platform || 'instagram';
+  if (!PLATFORMS.includes(platform)) return res.status(400).json({ success: false, error: `Unknown platform ${platform}` });
+  const caption = item ? (item.originalCaption ?? item.caption) : body.caption;
+  if (typeof caption !== 'string' || caption.length > 10000) return res.status(400).json({ success: false, error: 'caption (up to 10000 chars) or id is required' });
+  const gen = await generateCaption(s, { caption, platform, seed: item ? String(item._id) : caption }, { ai });
+  const save = !!item && !body.preview;
+  if (save) {
+    item.set(captionUpdate(gen));
+    await item.save();
+    await ActivityLog.create({ type: 'queue', platform, status: 'info', message: 'Caption refreshed', data: { id: item._id, source: gen.source, aiError: gen.aiError } });
+  }
+  res.json({ success: true, saved: save, caption: gen.caption, originalCaption: gen.original, source: gen.source, model: gen.model, hashtags: gen.hashtags, length: gen.length, warnings: gen.warnings, aiError: gen.aiError });
+});
 app.post('/api/upload/get-real-instagram-captions', async (req, res) => {
-  const ids = Array.isArray(req.body?.mediaIds) ? req.body.mediaIds : [];
-  res.json({ success: true, captions: Object.fromEntries(ids.map(id => [id, ''])) });
+  const ids = [...new Set((Array.isArray(req.body?.mediaIds) ? req.body.mediaIds : []).map(String))].slice(0, 500);
+  if (!ids.length) return res.json({ success: true, captions: {} });
+  try {
+    res.json({ success: true, captions: await instagramCaptions(await getOrCreateSettings(), ids) });
+  } catch (e) {
+    res.status(e?.status && e.status < 500 ? 400 : 502).json({ success: false, error: e.message });
+  }
 });
-app.post('/api/upload/direct-video', upload.single('file'), async (req, res) => {
-  if (!req.file) return res.status(400).json({ success: false, error: 'file missing' });
-  const platform = req.body?.platform || 'instagram';
-  const caption = req.body?.caption || req.file.originalname;
-  const doc = await PostQueue.create({ platform, caption, captionNorm: normalizeCaption(caption), status: 'queued', s3Url: `s3://demo/${req.file.originalname}`, engagement: { likes: 0 }, durationSec: null, visualHash: null });
-  pushEvent({ type: 'queue_added', platform, message: `Direct upload queued: ${req.file.originalname}`, meta: { id: doc._id } });
-  await ActivityLog.create({ type: 'upload', platform, status: 'success', message: 'Direct video queued', data: { id: doc._id } });
-  res.json({ success: true, id: String(doc._id), queued: true });
-});
-app.post('/api/upload/smart-video-analyze', upload.single('file'), async (req, res) => {
-  if (!req.file) return res.status(400).json({ success: false, error: 'file missing' });
-  res.json({ success: true, durationSec: 0, visualHash: null, firstFrameUrl: null });
-});
-app.post('/api/upload/dropbox-folder', async (req, res) => { 
-  // lightly queue one demo item to prove wiring
+// Cover / keyframe images sent with an upload (cover first). Without any, cover art embedded in
+// the file is used. Throws a 4xx HttpError for non-image or undecodable uploads.
+async function uploadHashes(req, info) {
+  const images = [...(req.files?.cover || []), ...(req.files?.frames || [])];
+  const bad = images.find(f => !/^image\//.test(f.mimetype));
+  if (bad) throw new HttpError(`${bad.fieldname}: ${bad.originalname} is not an image`, 415);
+  if (!images.length) return info?.coverArt ? hashImages([info.coverArt]).catch(() => null) : null;
+  try {
+    return await hashImages(images.map(f => f.buffer));
+  } catch (e) {
+    throw new HttpError(`Unreadable image: ${e.message}`, 400);
+  }
+}
+
+const uploadFields = (m) => m.fields([{ name: 'file', maxCount: 1 }, { name: 'cover', maxCount: 1 }, { name: 'frames', maxCount: MAX_FRAMES }]);
+
+// Multipart form: file (+ platform, caption, cover / frames images, sha256 or an X-Content-SHA256 header to verify the upload)
+app.post('/api/upload/direct-video', (req, res, next) => uploadFields(s3Upload)(req, res, (err) => {
+  if (!err) return next();
+  const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : err instanceof multer.MulterError ? 400 : err.status || 500;
+  res.status(status).json({ success: false, error: err.message });
+}), async (req, res) => {
+  const file = req.files?.file?.[0];
+  if (!file) return res.status(400).json({ success: false, error: 'file missing' });
+  const s = await getOrCreateSettings();
+  const cfg = s3Config(s);
+  const { key, bucket, size, sha256, contentType } = file;
+  const reject = async (status, body) => {
+    await deleteObject(cfg, key).catch(() => {});
+    res.status(status).json({ success: false, ...body });
+  };
   const platform = req.body?.platform || 'instagram';
-  const caption = req.body?.caption || 'Dropbox demo file';
-  const doc = await PostQueue.create({ platform, caption, captionNorm: normalizeCaption(caption), status: 'queued', s3Url: 's3://bucket/dropbox-demo.mp4', engagement: { likes: 1000 }, durationSec: 20, visualHash: 'db01' });
-  pushEvent({ type: 'queue_added', platform, message: 'Dropbox queued 1', meta: { id: doc._id } });
-  await ActivityLog.create({ type: 'upload', platform, status: 'success', message: 'Dropbox folder queued', data: { id: doc._id } });
-  res.json({ success: true, added: 1, duplicates: 0 });
-});
-app.post('/api/upload/smart-drive-sync', async (req, res) => { res.json({ success: true, added: 0, duplicates: 0 }); });
-app.post('/api/upload/sync-dropbox', async (req, res) => { res.json({ success: true, added: 0, duplicates: 0 }); });
-app.post('/api/upload/dropbox', async (req, res) => { res.json({ success: true, message: 'queued 0' }); });
-app.post('/api/upload/google-drive', async (req, res) => { res.json({ success: true, message: 'queued 0' }); });
+  if (!PLATFORMS.includes(platform)) return reject(400, { error: `platform must be one of ${PLATFORMS.join(', ')}` });
+  const expected = String(req.get('x-content-sha256') || req.body?.sha256 || '').toLowerCase();
+  if (expected && expected !== sha256) return reject(400, { error: 'Checksum mismatch', expected, actual: sha256 });
+  // Container metadata must be readable and within the platform's limits before anything is queued
+  const info = file.probe;
+  const spec = file.probeError ? { ok: false, errors: [{ rule: 'metadata', message: `unreadable video: ${file.probeError}` }], warnings: [] } : checkPlatformSpec(info, platform);
+  if (!spec.ok) {
+    const error = `Video does not meet ${platform} requirements: ${spec.errors.map(e => e.message).join('; ')}`;
+    await ActivityLog.create({ type: 'upload', platform, status: 'failed', message: error, data: { originalName: file.originalname, reasons: spec.errors } });
+    return reject(422, { error, reasons: spec.errors, warnings: spec.warnings, video: videoMeta(info) });
+  }
+  let hashes;
+  try {
+    hashes = await uploadHashes(req, info);
+  } catch (e) {
+    return reject(e.status || 400, { error: e.message });
+  }
+  const contentHash = `sha256:${sha256}`;
+  const existing = await PostQueue.findOne({ contentHash, platform }, { _id: 1, status: 1 }).lean();
+  if (existing) return reject(409, { error: 'This file is already in the queue', duplicateOf: { id: existing._id, status: existing.status } });
+
+  const caption = req.body?.caption || file.originalname;
+  const stored = { bucket, key, size, sha256, contentType, originalName: file.originalname, parts: file.parts };
+  const doc = await PostQueue.create({ platform, caption, captionNorm: normalizeCaption(caption), status: 'queued', s3Url: `s3://${bucket}/${key}`, contentHash, engagement: { likes: 0 }, durationSec: info?.durationSec || null, video: videoMeta(info), visualHash: hashes?.visualHash || null, frameHashes: hashes?.frameHashes || [], meta: { upload: stored } });
+  pushEvent({ type: 'queue_added', platform, message: `Direct upload queued: ${file.originalname}`, meta: { id: doc._id } });
+  await ActivityLog.create({ type: 'upload', platform, status: 'success', message: 'Direct video queued', data: { id: doc._id, key, size } });
+  res.json({ success: true, id: String(doc._id), queued: true, key, size, sha256, contentType, video: doc.video, visualHash: doc.visualHash, frameHashes: doc.frameHashes, warnings: spec.warnings });
+});
+// Reads container metadata, checks it against every platform's spec and hashes the cover /
+// frames images (or embedded cover art); nothing is stored
+app.post('/api/upload/smart-video-analyze', (req, res, next) => uploadFields(analyzeUpload)(req, res, (err) => {
+  if (!err) return next();
+  res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : err instanceof multer.MulterError ? 400 : err.status || 500).json({ success: false, error: err.message });
+}), async (req, res) => {
+  const file = req.files?.file?.[0];
+  if (!file) return res.status(400).json({ success: false, error: 'file missing' });
+  if (file.probeError) return res.status(422).json({ success: false, error: `Unreadable video: ${file.probeError}` });
+  const info = file.probe;
+  let hashes;
+  try {
+    hashes = await uploadHashes(req, info);
+  } catch (e) {
+    return res.status(e.status || 400).json({ success: false, error: e.message });
+  }
+  const platforms = Object.fromEntries(PLATFORMS.map(p => [p, checkPlatformSpec(info, p)]));
+  res.json({ success: true, durationSec: info?.durationSec ?? null, visualHash: hashes?.visualHash || null, frameHashes: hashes?.frameHashes || [], firstFrameUrl: null, video: videoMeta(info), platforms });
+});
+// Folder ingestion. Body: { path?, platform? | platforms?, reset? }. New videos are queued for each
+// platform (default: enabled autopilot platforms); files already queued by content hash are duplicates.
+function ingestPlatforms(s, body = {}) {
+  const requested = [].concat(body.platforms || body.platform || []).filter(p => PLATFORMS.includes(p));
+  return requested.length ? requested : enabledPlatforms(s);
+}
+
+async function runFolderSync(lockKey, sync) {
+  if (!(await tryAcquireLock(lockKey, 10 * 60))) return { busy: true };
+  try {
+    const { summary, created } = await sync();
+    for (const doc of created) pushEvent({ type: 'queue_added', platform: doc.platform, message: `${summary.provider} queued: ${doc.meta?.source?.name || doc.meta?.source?.permalink}`, meta: { id: doc._id } });
+    const { details, ...counts } = summary;
+    const tally = ['added', 'duplicates', 'refreshed', 'skipped'].filter(k => k in summary).map(k => `${summary[k]} ${k}`).join(', ');
+    await ActivityLog.create({ type: 'upload', status: 'success', message: `${summary.provider} sync: ${tally}`, data: counts });
+    return { summary };
+  } finally {
+    await PostingLock.deleteOne({ key: lockKey });
+  }
+}
+
+const folderSyncs = {
+  dropbox: { label: 'Dropbox', run: (s, body) => syncDropboxFolder(s, { path: body.path ?? s.dropboxFolder, platforms: ingestPlatforms(s, body), reset: !!body.reset }) },
+  gdrive: { label: 'Google Drive', run: (s, body) => syncDriveFolder(s, { folderId: body.folderId || s.googleDriveFolderId, platforms: ingestPlatforms(s, body), reset: !!body.reset }) }
+};
+
+async function handleFolderSync(provider, req, res, shape) {
+  const s = await getOrCreateSettings();
+  const { label, run } = folderSyncs[provider];
+  try {
+    const out = await runFolderSync(`${provider}-sync`, () => run(s, req.body || {}));
+    if (out.busy) return res.status(409).json({ success: false, error: `A ${label} sync is already running` });
+    res.json(shape(out.summary));
+  } catch (e) {
+    await ActivityLog.create({ type: 'upload', status: 'failed', message: `${label} sync failed`, data: { error: e.message } });
+    res.status(e?.status && e.status < 500 ? 400 : 502).json({ success: false, error: e.message });
+  }
+}
+
+const syncReport = (r) => ({ success: true, added: r.added, duplicates: r.duplicates, skipped: r.skipped, report: r });
+const queuedMessage = (r) => ({ ...syncReport(r), message: `queued ${r.added}` });
+app.post('/api/upload/dropbox-folder', (req, res) => handleFolderSync('dropbox', req, res, syncReport));
+app.post('/api/upload/sync-dropbox', (req, res) => handleFolderSync('dropbox', req, res, syncReport));
+app.post('/api/upload/dropbox', (req, res) => handleFolderSync('dropbox', req, res, queuedMessage));
+app.post('/api/upload/smart-drive-sync', (req, res) => handleFolderSync('gdrive', req, res, syncReport));
+app.post('/api/upload/google-drive', (req, res) => handleFolderSync('gdrive', req, res, queuedMessage));
+app.get('/api/upload/sync-status', async (req, res) => {
+  const states = await SyncState.find().sort({ lastRunAt: -1 }).lean();
+  res.json({ success: true, sources: states.map(st => ({ key: st.key, provider: st.provider, hasCursor: !!st.cursor, lastRunAt: st.lastRunAt, lastReport: st.lastReport })) });
+});
 app.post('/api/test/cleanup', async (req, res) => { res.json({ results: { filesRemoved: 0 } }); });
-app.post('/api/test/validate-apis', async (req, res) => { res.json({ summary: { valid: 0, total: 0 } }); });
+// Probe every configured integration: pass/fail, token expiry, missing scopes. Body: { integrations?: ['instagram', ...] }
+app.post('/api/test/validate-apis', async (req, res) => {
+  const s = await getOrCreateSettings();
+  const only = Array.isArray(req.body?.integrations) ? req.body.integrations : null;
+  res.json(await validateIntegrations(s, { only }));
+});
 app.post('/api/test/mongodb', async (req, res) => { res.json({ message: MONGO_URI ? 'MongoDB configured' : 'No MongoDB configured' }); });
 app.post('/api/test/upload', async (req, res) => { res.json({ message: 'Upload test ok' }); });
 
@@ -629,7 +1545,257 @@ app.get('/api/queue/summary', async (req, res) => {
   const next5Docs = await PostQueue.find({ status: 'scheduled' }).sort({ scheduledAt: 1 }).limit(5).lean();
   const next5 = next5Docs.map(d => ({ id: d._id, platform: d.platform, runAt: d.scheduledAt }));
   const postingNow = await PostQueue.countDocuments({ status: 'posting' });
-  res.json({ total, scheduled, postingNow, next5 });
+  const failed = await PostQueue.countDocuments({ status: 'failed' });
+  res.json({ total, scheduled, postingNow, failed, next5 });
+});
+
+// Dead-letter view: terminal `failed` items
+function idsFromBody(body) {
+  return Array.isArray(body?.ids) ? body.ids.filter(id => mongoose.isValidObjectId(id)) : [];
+}
+
+app.get('/api/queue/failed', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '50', 10), 200);
+  const filter = { status: 'failed' };
+  if (req.query.platform) filter.platform = String(req.query.platform);
+  const [items, total] = await Promise.all([
+    PostQueue.find(filter).sort({ failedAt: -1 }).limit(limit).lean(),
+    PostQueue.countDocuments(filter)
+  ]);
+  res.json({ success: true, total, items: items.map(d => ({ id: d._id, platform: d.platform, caption: d.caption, attempts: d.attempts || 0, lastError: d.lastError, lastAttemptAt: d.lastAttemptAt, failedAt: d.failedAt })) });
+});
+
+// Requeue failed items: back to `queued` with a fresh attempt budget; refill re-runs dedupe on them
+app.post('/api/queue/failed/requeue', async (req, res) => {
+  const ids = idsFromBody(req.body);
+  if (!ids.length && req.body?.all !== true) return res.status(400).json({ success: false, error: 'ids[] or all:true required' });
+  const filter = { status: 'failed', ...(ids.length ? { _id: { $in: ids } } : {}) };
+  const r = await PostQueue.updateMany(filter, { $set: { status: 'queued', attempts: 0, scheduledAt: null, failedAt: null } });
+  await ActivityLog.create({ type: 'queue', status: 'info', message: 'Requeued failed items', data: { count: r.modifiedCount, ids } });
+  res.json({ success: true, requeued: r.modifiedCount });
+});
+
+// Discard failed items: parked as `skipped` so they never post but stay inspectable
+app.post('/api/queue/failed/discard', async (req, res) => {
+  const ids = idsFromBody(req.body);
+  if (!ids.length && req.body?.all !== true) return res.status(400).json({ success: false, error: 'ids[] or all:true required' });
+  const filter = { status: 'failed', ...(ids.length ? { _id: { $in: ids } } : {}) };
+  const r = await PostQueue.updateMany(filter, { $set: { status: 'skipped', 'meta.discardedAt': new Date() } });
+  await ActivityLog.create({ type: 'queue', status: 'info', message: 'Discarded failed items', data: { count: r.modifiedCount, ids } });
+  res.json({ success: true, discarded: r.modifiedCount });
+});
+
+// Queue management: edit, reschedule, reorder, pin, cancel and skip, one item or many.
+// Every change is validated (dedupe, caps) unless `force` is set, and audit-logged.
+const EDITABLE = ['queued', 'scheduled', 'failed'];
+
+class QueueActionError extends Error {
+  constructor(code, message, status = 400, details = undefined) {
+    super(message);
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function assertEditable(item) {
+  if (!EDITABLE.includes(item.status)) throw new QueueActionError('not_editable', `Item is ${item.status}`, 409);
+}
+
+async function assertNotDuplicate(s, item) {
+  const dup = await createDedupeSession(s).check(item);
+  if (dup.duplicate) throw new QueueActionError('duplicate', `Duplicate (${dup.reason})`, 409, { reason: dup.reason, duplicateOf: dup.match });
+}
+
+async function assertSlotAllowed(s, item, at) {
+  const timeZone = resolveTimeZone(s);
+  const from = new Date(Math.min(startOfZonedDay(at, timeZone).getTime(), at.getTime() - 60 * 60 * 1000));
+  const to = new Date(at.getTime() + 25 * 60 * 60 * 1000);
+  const occupied = (await loadOccupied(from, to)).filter(o => String(o.id) !== String(item._id));
+  const violations = slotViolations({ settings: s, timeZone, platform: item.platform, at, occupied });
+  if (violations.length) throw new QueueActionError('cap_violation', `Slot violates ${violations.join(', ')}`, 409, { violations });
+}
+
+const queueActions = {
+  async edit(s, item, { caption, platform, force }) {
+    assertEditable(item);
+    const changes = {};
+    if (typeof caption === 'string' && caption !== item.caption) {
+      changes.caption = caption;
+      item.caption = caption;
+      item.captionNorm = normalizeCaption(item.originalCaption ?? caption);
+      // hand-written: the scheduler leaves it alone (refresh-caption can still regenerate)
+      item.set('meta.captionGen', { source: 'manual', at: new Date() });
+    }
+    if (platform !== undefined && platform !== item.platform) {
+      if (!PLATFORMS.includes(platform)) throw new QueueActionError('invalid_platform', `Unknown platform ${platform}`);
+      changes.platform = platform;
+      item.platform = platform;
+    }
+    if (!Object.keys(changes).length) return changes;
+    if (!force) {
+      await assertNotDuplicate(s, item);
+      if (item.status === 'scheduled' && changes.platform) await assertSlotAllowed(s, item, item.scheduledAt);
+    }
+    await item.save();
+    return changes;
+  },
+
+  async schedule(s, item, { scheduledAt, force }) {
+    assertEditable(item);
+    const at = new Date(scheduledAt);
+    if (!scheduledAt || Number.isNaN(at.getTime())) throw new QueueActionError('invalid_time', 'scheduledAt must be an ISO date');
+    if (at.getTime() < Date.now() - 60 * 1000) throw new QueueActionError('invalid_time', 'scheduledAt is in the past');
+    if (!force) {
+      if (item.status !== 'scheduled') await assertNotDuplicate(s, item);
+      await assertSlotAllowed(s, item, at);
+    }
+    const from = { status: item.status, scheduledAt: item.scheduledAt };
+    // a failed item gets a fresh attempt budget, as with /api/queue/failed/requeue
+    if (item.status === 'failed') {
+      item.attempts = 0;
+      item.failedAt = null;
+    }
+    item.status = 'scheduled';
+    item.scheduledAt = at;
+    item.captionNorm = normalizeCaption(item.originalCaption ?? item.caption ?? '');
+    const caption = await scheduledCaption(s, item);
+    if (caption) item.set(caption);
+    const audio = createAudioRotation(s);
+    const track = await audio.assign(item);
+    if (track) item.set(track);
+    await item.save();
+    await audio.record(track);
+    pushEvent({ type: 'schedule', platform: item.platform, message: 'Scheduled manually', meta: { id: item._id, at } });
+    return { from, scheduledAt: at };
+  },
+
+  // Scheduled items swap times with their neighbour on the same platform; queued items change priority
+  async move(s, item, { direction }) {
+    assertEditable(item);
+    if (direction !== 'up' && direction !== 'down') throw new QueueActionError('invalid_direction', 'direction must be up or down');
+    if (item.status !== 'scheduled') {
+      item.priority = (item.priority || 0) + (direction === 'up' ? 1 : -1);
+      await item.save();
+      return { priority: item.priority };
+    }
+    const neighbour = await PostQueue.findOne({
+      _id: { $ne: item._id }, platform: item.platform, status: 'scheduled',
+      scheduledAt: direction === 'up' ? { $lt: item.scheduledAt } : { $gt: item.scheduledAt }
+    }).sort({ scheduledAt: direction === 'up' ? -1 : 1 });
+    if (!neighbour) return { unchanged: true };
+    if (neighbour.pinned) throw new QueueActionError('neighbour_pinned', 'Adjacent item is pinned', 409, { neighbourId: neighbour._id });
+    const mine = item.scheduledAt;
+    item.scheduledAt = neighbour.scheduledAt;
+    neighbour.scheduledAt = mine;
+    await Promise.all([item.save(), neighbour.save()]);
+    return { scheduledAt: item.scheduledAt, swappedWith: neighbour._id };
+  },
+
+  async pin(s, item) {
+    assertEditable(item);
+    item.pinned = true;
+    await item.save();
+    return { pinned: true };
+  },
+
+  async unpin(s, item) {
+    item.pinned = false;
+    await item.save();
+    return { pinned: false };
+  },
+
+  // Unschedule: back to the queued pool
+  async cancel(s, item) {
+    if (item.status !== 'scheduled') throw new QueueActionError('not_scheduled', `Item is ${item.status}`, 409);
+    const from = item.scheduledAt;
+    item.status = 'queued';
+    item.scheduledAt = null;
+    await item.save();
+    return { unscheduled: from };
+  },
+
+  // Pull the item entirely: it will never post
+  async skip(s, item, { reason }) {
+    assertEditable(item);
+    item.status = 'skipped';
+    item.meta = { ...(item.meta || {}), skipReason: reason || 'manual' };
+    await item.save();
+    return { skipped: true };
+  }
+};
+
+async function applyQueueAction(s, id, action, params) {
+  if (!mongoose.isValidObjectId(id)) throw new QueueActionError('invalid_id', 'invalid id');
+  const item = await PostQueue.findById(id);
+  if (!item) throw new QueueActionError('not_found', 'item not found', 404);
+  const changes = await queueActions[action](s, item, params || {});
+  await ActivityLog.create({ type: 'queue', platform: item.platform, status: 'info', message: `Queue item ${action}`, data: { id: item._id, action, changes, forced: !!params?.force } });
+  return { item, changes };
+}
+
+function queueErrorBody(e) {
+  if (e instanceof QueueActionError) return { status: e.status, body: { success: false, error: e.message, code: e.code, ...(e.details ? { details: e.details } : {}) } };
+  return { status: 500, body: { success: false, error: String(e?.message || e) } };
+}
+
+app.get('/api/queue/items/:id', async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ success: false, error: 'invalid id' });
+  const item = await PostQueue.findById(req.params.id).lean();
+  if (!item) return res.status(404).json({ success: false, error: 'item not found' });
+  res.json({ success: true, item });
+});
+
+// Fetchable media URL for an item (presigned for uploaded objects). ?expires= seconds, default 1h
+app.get('/api/queue/items/:id/media-url', async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ success: false, error: 'invalid id' });
+  const item = await PostQueue.findById(req.params.id).lean();
+  if (!item) return res.status(404).json({ success: false, error: 'item not found' });
+  const expiresSec = Math.min(Math.max(Number(req.query.expires) || 3600, 60), 7 * 24 * 3600);
+  const url = mediaUrlFor(item, await getOrCreateSettings(), { expiresSec });
+  if (!url) return res.status(404).json({ success: false, error: 'item has no fetchable media' });
+  res.json({ success: true, url, expiresAt: new Date(Date.now() + expiresSec * 1000) });
+});
+
+app.post('/api/queue/items/:id/:action', async (req, res) => {
+  const { id, action } = req.params;
+  if (!Object.prototype.hasOwnProperty.call(queueActions, action)) return res.status(404).json({ success: false, error: `unknown action ${action}` });
+  try {
+    const s = await getOrCreateSettings();
+    const { item, changes } = await applyQueueAction(s, id, action, req.body);
+    res.json({ success: true, changes, item: item.toObject() });
+  } catch (e) {
+    const { status, body } = queueErrorBody(e);
+    res.status(status).json(body);
+  }
+});
+
+// Bulk: { ids: [...], action, ...params } applied per id; one failure does not stop the rest
+app.post('/api/queue/bulk', async (req, res) => {
+  const { ids, action, ...params } = req.body || {};
+  if (!Array.isArray(ids) || !ids.length) return res.status(400).json({ success: false, error: 'ids[] required' });
+  if (!Object.prototype.hasOwnProperty.call(queueActions, action)) return res.status(400).json({ success: false, error: `unknown action ${action}` });
+  if (ids.length > 500) return res.status(400).json({ success: false, error: 'at most 500 ids per request' });
+  const s = await getOrCreateSettings();
+  const results = [];
+  for (const id of ids) {
+    try {
+      const { changes } = await applyQueueAction(s, id, action, params);
+      results.push({ id, ok: true, changes });
+    } catch (e) {
+      const { body } = queueErrorBody(e);
+      results.push({ id, ok: false, error: body.error, code: body.code, details: body.details });
+    }
+  }
+  res.json({ success: true, action, applied: results.filter(r => r.ok).length, failed: results.filter(r => !r.ok).length, results });
+});
+
+// Anything a route threw or rejected with; a bad id or date that reached Mongoose is the caller's fault
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const status = err.name === 'CastError' || err.name === 'ValidationError' ? 400 : err.status >= 400 && err.status < 600 ? err.status : 500;
+  if (status >= 500) console.error(`${req.method} ${redactUrl(req.originalUrl)}:`, err);
+  res.status(status).json({ success: false, error: err.message || 'Internal error' });
 });
 
 app.listen(PORT, () => console.log(`Backend refresh listening on ${PORT} TZ=${TIMEZONE}`));